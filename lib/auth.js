@@ -0,0 +1,202 @@
+/**
+ * Session-based bearer token authentication
+ * Permanent tokens handed out by /api/auth/verify-otp are stored as sessions
+ * (keyed by a SHA-256 hash of the token, never the token itself) and checked
+ * on every user-scoped route.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+function createAuth({ sessions, users, ttlMs = DEFAULT_SESSION_TTL_MS }) {
+  /**
+   * Store a new session for the user and return it
+   */
+  async function createSession(user, token, { userAgent } = {}) {
+    const now = Date.now();
+    const tokenHash = hashToken(token);
+    const session = {
+      sessionId: "sess_" + crypto.randomBytes(12).toString("hex"),
+      tokenHash,
+      userId: user.userId,
+      userAgent: userAgent || null,
+      createdAt: new Date(now).toISOString(),
+      lastUsedAt: new Date(now).toISOString(),
+      expiresAt: now + ttlMs,
+    };
+    await sessions.set(tokenHash, session);
+    return session;
+  }
+
+  /**
+   * Look up the session for a token, dropping it if it has expired
+   */
+  async function findSession(token) {
+    const key = hashToken(token);
+    const session = await sessions.get(key);
+    if (!session) {
+      return null;
+    }
+    if (Date.now() > session.expiresAt) {
+      await sessions.delete(key);
+      return null;
+    }
+    return session;
+  }
+
+  async function revokeToken(token) {
+    return sessions.delete(hashToken(token));
+  }
+
+  /**
+   * Revoke one of the user's sessions by its public session ID
+   */
+  async function revokeSession(userId, sessionId) {
+    const session = await sessions.find(
+      (s) => s.userId === userId && s.sessionId === sessionId
+    );
+    if (!session) {
+      return false;
+    }
+    return sessions.delete(session.tokenHash);
+  }
+
+  /**
+   * Revoke every session belonging to the user, optionally keeping one
+   */
+  async function revokeAllSessions(userId, { exceptSessionId } = {}) {
+    let revoked = 0;
+    const userSessions = await sessions.filter((session) => session.userId === userId);
+    for (const session of userSessions) {
+      if (session.sessionId !== exceptSessionId) {
+        await sessions.delete(session.tokenHash);
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  async function listSessions(userId) {
+    const now = Date.now();
+    return sessions.filter((session) => session.userId === userId && session.expiresAt > now);
+  }
+
+  /**
+   * Middleware: require a valid "Authorization: Bearer <token>" header
+   * Sets req.user, req.session and req.token for downstream handlers
+   */
+  async function requireAuth(req, res, next) {
+    try {
+      const header = req.headers.authorization || "";
+      const match = header.match(/^Bearer\s+(\S+)$/i);
+
+      if (!match) {
+        return res.status(401).json({
+          success: false,
+          message: "Authentication required",
+        });
+      }
+
+      const token = match[1];
+      const session = await findSession(token);
+      const user = session ? await users.get(session.userId) : null;
+
+      if (!session || !user) {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid or expired token",
+        });
+      }
+
+      // Only touch lastUsedAt once a minute so every request isn't a write
+      if (Date.now() - new Date(session.lastUsedAt).getTime() > 60 * 1000) {
+        session.lastUsedAt = new Date().toISOString();
+        await sessions.set(session.tokenHash, session);
+      }
+
+      req.user = user;
+      req.session = session;
+      req.token = token;
+      next();
+    } catch (error) {
+      console.error("Authentication error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to authenticate request",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Middleware: authenticate when an Authorization header is sent, otherwise
+   * carry on anonymously (public routes that personalize, e.g. contract prices)
+   * A token that is sent but invalid is still rejected with 401.
+   */
+  function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) {
+      return next();
+    }
+    return requireAuth(req, res, next);
+  }
+
+  /**
+   * Middleware: only allow access to the authenticated user's own data
+   * Checks the userId in the route params, body or query string (whichever is present)
+   */
+  function requireSelf(req, res, next) {
+    const userId = req.params.userId || (req.body && req.body.userId) || req.query.userId;
+
+    if (userId && userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this user's data",
+      });
+    }
+    next();
+  }
+
+  return {
+    createSession,
+    findSession,
+    revokeToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    requireAuth,
+    optionalAuth,
+    requireSelf,
+  };
+}
+
+/**
+ * Middleware: require the operations API key in the X-Admin-Key header
+ * Used for back-office routes (order status updates, catalog management)
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const provided = req.headers["x-admin-key"];
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      message: "Admin API is not configured",
+    });
+  }
+
+  const expected = Buffer.from(hashToken(adminKey), "hex");
+  const actual = Buffer.from(hashToken(provided || ""), "hex");
+
+  if (!provided || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid admin key",
+    });
+  }
+  next();
+}
+
+module.exports = { createAuth, requireAdmin, hashToken };
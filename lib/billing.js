@@ -0,0 +1,196 @@
+/**
+ * Subscription billing runs
+ * Ahead of each scheduled delivery the subscription's payment method is
+ * charged and the delivery becomes a real order. Failed charges are retried on
+ * a dunning schedule, and the subscription is paused after too many failures
+ * in a row. The clock is injectable so runs can be replayed for any moment.
+ */
+
+const schedule = require("./schedule");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How far ahead of a delivery it is billed
+const BILLING_LEAD_HOURS = parseFloat(process.env.BILLING_LEAD_HOURS || "24");
+// Hours to wait before each retry; once they are used up the subscription is paused
+const DUNNING_RETRY_HOURS = (process.env.DUNNING_RETRY_HOURS || "1,4,12")
+  .split(",")
+  .map((hours) => parseFloat(hours))
+  .filter((hours) => hours >= 0);
+
+/**
+ * Thrown by chargers when a payment is declined or can't be attempted
+ */
+class BillingError extends Error {
+  constructor(message, code = "payment_failed") {
+    super(message);
+    this.name = "BillingError";
+    this.code = code;
+  }
+}
+
+/**
+ * Stable order ID for a subscription delivery (matches the projected deliveries)
+ */
+function deliveryOrderId(subscription, deliveryDate) {
+  return `${subscription.subscriptionId}-${schedule.toUAEDateString(deliveryDate).replace(/-/g, "")}`;
+}
+
+/**
+ * Create a billing job
+ * - buildOrder(subscription, deliveryDate) resolves with the unpaid order for a
+ *   delivery (it may throw BillingError if the delivery can't be priced)
+ * - chargers[paymentMethod](subscription, order, { attempt }) charges it and
+ *   resolves with fields to merge into the order (e.g. paymentIntentId); throw
+ *   BillingError on a decline
+ * - saveSubscription(subscription) persists a subscription
+ * - onOrderCreated(order), if given, runs after each paid order is stored
+ * - resumeIfDue(subscription, at), if given, resumes (and saves) a paused
+ *   subscription whose resume date has arrived, so the run bills it too
+ */
+function createBilling({
+  subscriptions,
+  orders,
+  locks,
+  buildOrder,
+  chargers,
+  saveSubscription,
+  onOrderCreated = async () => {},
+  resumeIfDue = async () => {},
+  now = () => new Date(),
+  leadHours = BILLING_LEAD_HOURS,
+  retryHours = DUNNING_RETRY_HOURS,
+}) {
+  const maxFailures = retryHours.length + 1;
+
+  function recordFailure(subscription, error, at) {
+    const billing = subscription.billing || {};
+    const failures = (billing.failures || 0) + 1;
+
+    subscription.billing = {
+      ...billing,
+      failures,
+      lastAttemptAt: at.toISOString(),
+      lastError: error.message,
+      nextAttemptAt: null,
+    };
+
+    if (failures >= maxFailures) {
+      subscription.status = "paused";
+      subscription.active = false;
+      subscription.pausedAt = at.toISOString();
+      subscription.pauseReason = "payment_failed";
+      subscription.resumeOn = null;
+      subscription.nextDelivery = null;
+      return "paused";
+    }
+
+    subscription.billing.nextAttemptAt = new Date(at.getTime() + retryHours[failures - 1] * HOUR_MS).toISOString();
+    return "retry_scheduled";
+  }
+
+  /**
+   * Bill every delivery of one subscription that falls inside the billing window
+   * Stops at the first failed charge. Returns [{ orderId, deliveryDate, outcome, error? }]
+   */
+  async function billSubscription(subscriptionId, at) {
+    return locks.withLock(`subscription:${subscriptionId}`, async () => {
+      const subscription = await subscriptions.get(subscriptionId);
+      const results = [];
+
+      if (!subscription || subscription.status !== "active") {
+        return results;
+      }
+
+      const billing = subscription.billing || {};
+      if (billing.nextAttemptAt && at < new Date(billing.nextAttemptAt)) {
+        return results;
+      }
+
+      const deliveryDates = schedule.upcomingDeliveries(subscription, {
+        from: at,
+        until: new Date(at.getTime() + leadHours * HOUR_MS),
+      });
+
+      for (const deliveryDate of deliveryDates) {
+        const orderId = deliveryOrderId(subscription, deliveryDate);
+        if (await orders.has(orderId)) {
+          continue;
+        }
+
+        const charge = chargers[subscription.paymentMethod];
+
+        try {
+          if (!charge) {
+            throw new BillingError(`Unsupported payment method: ${subscription.paymentMethod}`, "unsupported_method");
+          }
+          const order = { orderId, ...(await buildOrder(subscription, deliveryDate)) };
+          const attempt = ((subscription.billing || {}).failures || 0) + 1;
+          const paid = await charge(subscription, order, { attempt });
+          await orders.set(orderId, { ...order, ...paid });
+          await onOrderCreated({ ...order, ...paid });
+        } catch (error) {
+          if (!(error instanceof BillingError)) {
+            console.error(`Billing ${orderId} failed unexpectedly:`, error);
+          }
+          const outcome = recordFailure(subscription, error, at);
+          await saveSubscription(subscription);
+          results.push({ orderId, deliveryDate: deliveryDate.toISOString(), outcome, error: error.message });
+          return results;
+        }
+
+        subscription.billing = {
+          failures: 0,
+          lastAttemptAt: at.toISOString(),
+          lastBilledAt: at.toISOString(),
+          lastError: null,
+          nextAttemptAt: null,
+        };
+        results.push({ orderId, deliveryDate: deliveryDate.toISOString(), outcome: "billed" });
+      }
+
+      if (results.length > 0) {
+        await saveSubscription(subscription);
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Bill all active subscriptions as of `at` (defaults to the injected clock)
+   * Paused subscriptions that are due to resume by then are resumed first.
+   */
+  async function run({ at = now() } = {}) {
+    const resuming = await subscriptions.filter(
+      (subscription) => subscription.status === "paused" && subscription.resumeOn
+    );
+    for (const { subscriptionId } of resuming) {
+      await locks.withLock(`subscription:${subscriptionId}`, async () => {
+        // Re-read under the lock: the customer may have changed it since
+        const subscription = await subscriptions.get(subscriptionId);
+        if (subscription) {
+          await resumeIfDue(subscription, at);
+        }
+      });
+    }
+
+    const due = await subscriptions.filter((subscription) => subscription.status === "active");
+    const summary = { runAt: at.toISOString(), billed: [], failed: [], paused: [] };
+
+    for (const subscription of due) {
+      const results = await billSubscription(subscription.subscriptionId, at);
+      for (const result of results) {
+        const entry = { subscriptionId: subscription.subscriptionId, ...result };
+        if (result.outcome === "billed") summary.billed.push(entry);
+        else if (result.outcome === "paused") summary.paused.push(entry);
+        else summary.failed.push(entry);
+      }
+    }
+
+    return summary;
+  }
+
+  return { run, billSubscription };
+}
+
+module.exports = { createBilling, BillingError, deliveryOrderId, BILLING_LEAD_HOURS, DUNNING_RETRY_HOURS };
@@ -0,0 +1,552 @@
+/**
+ * Product catalog
+ * Categories and products are stored as data and managed through the admin
+ * endpoints. Archived products and categories stay in storage (old orders
+ * refer to them) but can't be listed or bought.
+ *
+ * Stock is tracked per product: stock is a whole number of units, or null when
+ * the product isn't stock-tracked. Stock changes for all products go through
+ * one lock, so a multi-item order is checked and decremented in one step.
+ *
+ * Bundles (special offers) are products made of other products:
+ * components: [{ productId, quantity }]. They have no stock of their own;
+ * ordering one takes its components out of stock, and its originalPrice is
+ * what the components would cost separately.
+ *
+ * unitsSold counts the units of each product on open and delivered orders
+ * (bundles count as themselves) and ranks products by popularity.
+ */
+
+const { createLocks } = require("./locks");
+const { toFils, toAED } = require("./pricing");
+
+const STOCK_LOCK = "catalog:stock";
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Thrown for catalog changes that can't be made (bad field, unknown category, ...)
+ */
+class CatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "CatalogError";
+    this.status = status;
+  }
+}
+
+/**
+ * Thrown when an order asks for more units than are in stock
+ * items: [{ id, name, requested, available }]
+ */
+class OutOfStockError extends Error {
+  constructor(items) {
+    super(`Out of stock: ${items.map((item) => item.name).join(", ")}`);
+    this.name = "OutOfStockError";
+    this.items = items;
+  }
+}
+
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+const isAmount = (value) => typeof value === "number" && value > 0 && toAED(toFils(value)) === value;
+
+/**
+ * Check product fields; with partial, only the fields present are checked
+ * Returns the fields to store.
+ */
+function validateProductFields(input, { partial = false } = {}) {
+  const fields = {};
+  const has = (name) => input[name] !== undefined;
+
+  if (!partial || has("name")) {
+    if (!isText(input.name)) throw new CatalogError("name is required");
+    fields.name = input.name.trim();
+  }
+  if (!partial || has("price")) {
+    if (!isAmount(input.price)) throw new CatalogError("price must be a positive amount in AED (2 decimal places)");
+    fields.price = input.price;
+  }
+  if (!partial || has("categoryId")) {
+    if (!isText(input.categoryId)) throw new CatalogError("categoryId is required");
+    fields.categoryId = input.categoryId;
+  }
+  if (has("originalPrice")) {
+    if (input.originalPrice !== null && !isAmount(input.originalPrice)) {
+      throw new CatalogError("originalPrice must be a positive amount in AED or null");
+    }
+    fields.originalPrice = input.originalPrice;
+  }
+  for (const name of ["image_url", "description", "category", "badge"]) {
+    if (has(name)) {
+      if (input[name] !== null && typeof input[name] !== "string") {
+        throw new CatalogError(`${name} must be a string or null`);
+      }
+      fields[name] = input[name];
+    }
+  }
+  if (has("subscribable")) {
+    if (typeof input.subscribable !== "boolean") throw new CatalogError("subscribable must be true or false");
+    fields.subscribable = input.subscribable;
+  }
+  if (has("stock")) {
+    if (input.stock !== null && !(Number.isInteger(input.stock) && input.stock >= 0)) {
+      throw new CatalogError("stock must be a whole number of units, or null to stop tracking stock");
+    }
+    fields.stock = input.stock;
+  }
+  if (has("sortOrder")) {
+    if (!Number.isInteger(input.sortOrder)) throw new CatalogError("sortOrder must be a whole number");
+    fields.sortOrder = input.sortOrder;
+  }
+  if (has("components")) {
+    fields.components = validateComponents(input.components);
+  }
+  if (has("translations")) {
+    fields.translations = validateTranslations(input.translations);
+  }
+
+  return fields;
+}
+
+/**
+ * Check text in other languages: { ar: { name?, description? }, ... }
+ * fieldNames are the fields that can be translated
+ */
+function validateTranslations(translations, fieldNames = ["name", "description"]) {
+  if (!translations || typeof translations !== "object" || Array.isArray(translations)) {
+    throw new CatalogError(`translations must be an object of language: { ${fieldNames.join(", ")} }`);
+  }
+  const checked = {};
+  for (const [language, text] of Object.entries(translations)) {
+    if (!/^[a-z]{2}$/.test(language)) {
+      throw new CatalogError(`Unknown language code: ${language}`);
+    }
+    if (!text || typeof text !== "object" || Array.isArray(text)) {
+      throw new CatalogError(`translations.${language} must be an object`);
+    }
+    checked[language] = {};
+    for (const name of fieldNames) {
+      if (text[name] !== undefined) {
+        if (!isText(text[name])) throw new CatalogError(`translations.${language}.${name} must be text`);
+        checked[language][name] = text[name].trim();
+      }
+    }
+  }
+  return checked;
+}
+
+/**
+ * Check a bundle's components; null (or an empty list) makes the product a plain product again
+ * The same product listed twice is merged into one component.
+ */
+function validateComponents(components) {
+  if (components === null || (Array.isArray(components) && components.length === 0)) {
+    return null;
+  }
+  if (!Array.isArray(components)) {
+    throw new CatalogError("components must be a list of { productId, quantity }");
+  }
+
+  const quantities = new Map();
+  for (const component of components) {
+    if (!component || !isText(component.productId)) {
+      throw new CatalogError("Every component needs a productId");
+    }
+    if (!Number.isInteger(component.quantity) || component.quantity < 1) {
+      throw new CatalogError(`Quantity of ${component.productId} must be a whole number of at least 1`);
+    }
+    quantities.set(component.productId, (quantities.get(component.productId) || 0) + component.quantity);
+  }
+  return [...quantities].map(([productId, quantity]) => ({ productId, quantity }));
+}
+
+const isBundle = (product) => Array.isArray(product.components) && product.components.length > 0;
+
+function validateCategoryFields(input, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || input.name !== undefined) {
+    if (!isText(input.name)) throw new CatalogError("name is required");
+    fields.name = input.name.trim();
+  }
+  if (input.sortOrder !== undefined) {
+    if (!Number.isInteger(input.sortOrder)) throw new CatalogError("sortOrder must be a whole number");
+    fields.sortOrder = input.sortOrder;
+  }
+  if (input.translations !== undefined) {
+    fields.translations = validateTranslations(input.translations, ["name"]);
+  }
+  return fields;
+}
+
+/**
+ * What a bundle's components cost separately, in AED
+ * productsById maps product IDs to products
+ */
+function componentsValue(components, productsById) {
+  const fils = components.reduce(
+    (sum, component) => sum + toFils(productsById.get(component.productId).price) * component.quantity,
+    0
+  );
+  return toAED(fils);
+}
+
+/**
+ * Units available of a bundle: as many as its scarcest component allows (null if none is tracked)
+ * An archived component means none can be sold.
+ */
+function bundleStock(components, productsById) {
+  let available = null;
+  for (const component of components) {
+    const part = productsById.get(component.productId);
+    if (!part || part.status !== "active") {
+      return 0;
+    }
+    if (part.stock !== null && part.stock !== undefined) {
+      const units = Math.max(0, Math.floor(part.stock / component.quantity));
+      available = available === null ? units : Math.min(available, units);
+    }
+  }
+  return available;
+}
+
+/**
+ * The products that physically change hands for order lines, merged by product
+ * Bundle lines are expanded into the components recorded on the line when it
+ * was priced (components: [{ id, name, quantity }] per bundle).
+ * Returns [{ id, name, quantity }].
+ */
+function physicalItems(items) {
+  const merged = new Map();
+  const add = (id, name, quantity) => {
+    const existing = merged.get(id);
+    merged.set(id, { id, name, quantity: (existing ? existing.quantity : 0) + quantity });
+  };
+  for (const item of items) {
+    if (Array.isArray(item.components) && item.components.length > 0) {
+      for (const component of item.components) {
+        add(component.id, component.name, component.quantity * item.quantity);
+      }
+    } else {
+      add(item.id, item.name, item.quantity);
+    }
+  }
+  return [...merged.values()];
+}
+
+const bySortOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.id.localeCompare(b.id);
+
+/**
+ * Create a catalog over the categories and products collections
+ */
+function createCatalog({ categories, products, locks = createLocks() }) {
+  async function requireCategory(categoryId) {
+    const category = await categories.get(categoryId);
+    if (!category) {
+      throw new CatalogError(`Unknown category: ${categoryId}`);
+    }
+    return category;
+  }
+
+  /**
+   * Categories, in display order (archived ones only with includeArchived)
+   */
+  async function listCategories({ includeArchived = false } = {}) {
+    const all = await categories.values();
+    return all.filter((category) => includeArchived || category.status === "active").sort(bySortOrder);
+  }
+
+  /**
+   * Products, in display order within their category
+   * Without includeArchived, only products that can be bought are listed.
+   */
+  async function listProducts({ includeArchived = false } = {}) {
+    const activeCategories = new Set((await listCategories()).map((category) => category.id));
+    const all = await products.values();
+    const productsById = new Map(all.map((product) => [product.id, product]));
+    return all
+      .filter(
+        (product) => includeArchived || (product.status === "active" && activeCategories.has(product.categoryId))
+      )
+      .map((product) => (isBundle(product) ? { ...product, stock: bundleStock(product.components, productsById) } : product))
+      .sort(bySortOrder);
+  }
+
+  /**
+   * A product that can be bought right now, or undefined
+   */
+  async function findProduct(productId) {
+    const product = await products.get(productId);
+    if (!product || product.status !== "active") {
+      return undefined;
+    }
+    const category = await categories.get(product.categoryId);
+    return category && category.status === "active" ? product : undefined;
+  }
+
+  async function getProduct(productId) {
+    const product = await products.get(productId);
+    if (!product) {
+      throw new CatalogError(`Product not found: ${productId}`, 404);
+    }
+    return product;
+  }
+
+  /**
+   * Check a bundle against the rest of the catalog and compute its originalPrice
+   * product is the bundle as it will be stored; the caller holds the stock lock.
+   */
+  function prepareBundle(product, productsById) {
+    for (const component of product.components) {
+      const part = productsById.get(component.productId);
+      if (!part) {
+        throw new CatalogError(`Unknown component: ${component.productId}`);
+      }
+      if (part.id === product.id || isBundle(part)) {
+        throw new CatalogError(`${part.id} is a bundle, so it can't be a component`);
+      }
+    }
+    const containing = [...productsById.values()].find(
+      (other) => other.id !== product.id && isBundle(other) && other.components.some((c) => c.productId === product.id)
+    );
+    if (containing) {
+      throw new CatalogError(`${product.id} is a component of ${containing.id}, so it can't be a bundle`);
+    }
+    if (product.stock !== null && product.stock !== undefined) {
+      throw new CatalogError("Bundles are stocked through their components; set stock to null");
+    }
+
+    const value = componentsValue(product.components, productsById);
+    product.originalPrice = value > product.price ? value : null;
+  }
+
+  // After a product's price changes, recompute the originalPrice of the bundles it is part of
+  async function repriceBundlesWith(productId, productsById) {
+    for (const bundle of productsById.values()) {
+      if (isBundle(bundle) && bundle.components.some((component) => component.productId === productId)) {
+        const value = componentsValue(bundle.components, productsById);
+        const originalPrice = value > bundle.price ? value : null;
+        if (originalPrice !== bundle.originalPrice) {
+          await products.set(bundle.id, { ...bundle, originalPrice, updatedAt: new Date().toISOString() });
+        }
+      }
+    }
+  }
+
+  async function allProductsById() {
+    return new Map((await products.values()).map((product) => [product.id, product]));
+  }
+
+  async function createProduct(input) {
+    if (typeof input.id !== "string" || !ID_PATTERN.test(input.id)) {
+      throw new CatalogError("id must be lowercase letters, digits, - or _");
+    }
+    const fields = validateProductFields(input);
+    if (fields.components && fields.originalPrice !== undefined) {
+      throw new CatalogError("A bundle's originalPrice is computed from its components");
+    }
+    const category = await requireCategory(fields.categoryId);
+
+    return locks.withLock(STOCK_LOCK, async () => {
+      if (await products.has(input.id)) {
+        throw new CatalogError(`Product ${input.id} already exists`, 409);
+      }
+      const now = new Date().toISOString();
+      const product = {
+        id: input.id,
+        category: category.name,
+        subscribable: false,
+        stock: null,
+        sortOrder: 0,
+        unitsSold: 0,
+        ...fields,
+        status: "active",
+        createdAt: now,
+        updatedAt: now,
+      };
+      if (isBundle(product)) {
+        prepareBundle(product, await allProductsById());
+      }
+      await products.set(product.id, product);
+      return product;
+    });
+  }
+
+  async function updateProduct(productId, changes) {
+    const fields = validateProductFields(changes, { partial: true });
+    if (fields.categoryId) {
+      await requireCategory(fields.categoryId);
+    }
+
+    return locks.withLock(STOCK_LOCK, async () => {
+      const product = { ...(await getProduct(productId)), ...fields, updatedAt: new Date().toISOString() };
+      const productsById = await allProductsById();
+      productsById.set(productId, product);
+
+      if (isBundle(product)) {
+        if (fields.originalPrice !== undefined) {
+          throw new CatalogError("A bundle's originalPrice is computed from its components");
+        }
+        prepareBundle(product, productsById);
+      }
+      await products.set(productId, product);
+      if (fields.price !== undefined && !isBundle(product)) {
+        await repriceBundlesWith(productId, productsById);
+      }
+      return product;
+    });
+  }
+
+  async function setProductStatus(productId, status) {
+    return locks.withLock(STOCK_LOCK, async () => {
+      const product = { ...(await getProduct(productId)), status, updatedAt: new Date().toISOString() };
+      await products.set(productId, product);
+      return product;
+    });
+  }
+
+  async function createCategory(input) {
+    if (typeof input.id !== "string" || !ID_PATTERN.test(input.id)) {
+      throw new CatalogError("id must be lowercase letters, digits, - or _");
+    }
+    if (await categories.has(input.id)) {
+      throw new CatalogError(`Category ${input.id} already exists`, 409);
+    }
+    const now = new Date().toISOString();
+    const category = {
+      id: input.id,
+      sortOrder: 0,
+      ...validateCategoryFields(input),
+      status: "active",
+      createdAt: now,
+      updatedAt: now,
+    };
+    await categories.set(category.id, category);
+    return category;
+  }
+
+  async function updateCategory(categoryId, changes) {
+    const fields = validateCategoryFields(changes, { partial: true });
+    const category = { ...(await requireCategory(categoryId)), ...fields, updatedAt: new Date().toISOString() };
+    await categories.set(categoryId, category);
+    return category;
+  }
+
+  async function setCategoryStatus(categoryId, status) {
+    const category = { ...(await requireCategory(categoryId)), status, updatedAt: new Date().toISOString() };
+    await categories.set(categoryId, category);
+    return category;
+  }
+
+  // Units requested per product, with bundles counted as their components
+  function unitsById(items) {
+    return new Map(physicalItems(items).map((item) => [item.id, item.quantity]));
+  }
+
+  async function shortages(units) {
+    const short = [];
+    for (const [id, requested] of units) {
+      const product = await products.get(id);
+      if (product && product.stock !== null && product.stock !== undefined && product.stock < requested) {
+        short.push({ id, name: product.name, requested, available: product.stock });
+      }
+    }
+    return short;
+  }
+
+  /**
+   * Throw OutOfStockError if any of the items ([{ id, quantity }]) isn't in stock
+   */
+  async function checkStock(items) {
+    const short = await shortages(unitsById(items));
+    if (short.length > 0) {
+      throw new OutOfStockError(short);
+    }
+  }
+
+  async function adjustStock(units, sign) {
+    for (const [id, quantity] of units) {
+      const product = await products.get(id);
+      if (product && product.stock !== null && product.stock !== undefined) {
+        product.stock += sign * quantity;
+        product.updatedAt = new Date().toISOString();
+        await products.set(id, product);
+      }
+    }
+  }
+
+  // Count order lines towards unitsSold; sign -1 takes cancelled units off again
+  async function recordSales(items, sign) {
+    const sold = new Map();
+    for (const item of items) {
+      sold.set(item.id, (sold.get(item.id) || 0) + item.quantity);
+    }
+    for (const [id, quantity] of sold) {
+      const product = await products.get(id);
+      if (product) {
+        product.unitsSold = Math.max(0, (product.unitsSold || 0) + sign * quantity);
+        await products.set(id, product);
+      }
+    }
+  }
+
+  /**
+   * Take the items out of stock, all or nothing
+   * Throws OutOfStockError unless force is set. force is for orders that are
+   * already paid for: stock can then go negative, which shows up as an oversell.
+   */
+  async function takeStock(items, { force = false } = {}) {
+    const units = unitsById(items);
+    return locks.withLock(STOCK_LOCK, async () => {
+      const short = await shortages(units);
+      if (short.length > 0) {
+        if (!force) {
+          throw new OutOfStockError(short);
+        }
+        console.warn(`Oversold: ${short.map((item) => `${item.id} (${item.available} left)`).join(", ")}`);
+      }
+      await adjustStock(units, -1);
+      await recordSales(items, 1);
+    });
+  }
+
+  /**
+   * Put items back in stock (cancelled orders, failed checkouts)
+   */
+  async function returnStock(items) {
+    const units = unitsById(items);
+    return locks.withLock(STOCK_LOCK, async () => {
+      await adjustStock(units, 1);
+      await recordSales(items, -1);
+    });
+  }
+
+  return {
+    listCategories,
+    listProducts,
+    findProduct,
+    getProduct,
+    createProduct,
+    updateProduct,
+    archiveProduct: (productId) => setProductStatus(productId, "archived"),
+    restoreProduct: (productId) => setProductStatus(productId, "active"),
+    createCategory,
+    updateCategory,
+    archiveCategory: (categoryId) => setCategoryStatus(categoryId, "archived"),
+    restoreCategory: (categoryId) => setCategoryStatus(categoryId, "active"),
+    checkStock,
+    takeStock,
+    returnStock,
+  };
+}
+
+const isInStock = (product) => product.stock === null || product.stock === undefined || product.stock > 0;
+
+/**
+ * A product as shown to customers
+ */
+function publicProduct(product) {
+  const { status, stock, sortOrder, unitsSold, createdAt, updatedAt, ...fields } = product;
+  return { ...fields, inStock: isInStock(product) };
+}
+
+module.exports = { createCatalog, publicProduct, physicalItems, isInStock, CatalogError, OutOfStockError };
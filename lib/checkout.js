@@ -0,0 +1,196 @@
+/**
+ * Checkout
+ * Validation and the order record shared by every way of placing an order
+ * (POST /api/checkout, the older order routes, and card payments that are
+ * applied once Stripe confirms them), so an order looks the same whichever
+ * payment method paid for it.
+ *
+ * Delivery slots are windows on a UAE calendar date (UTC+4, no daylight saving).
+ */
+
+const { toUAEDateString } = require("./schedule");
+const { historyEntry } = require("./orderStatus");
+const { pricingSummary } = require("./pricing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CHECKOUT_PAYMENT_METHODS = ["credit_card", "wallet", "cash_on_delivery"];
+
+// Delivery windows in UAE local time, as [start, end) hours
+const DELIVERY_WINDOWS = {
+  morning: { start: 8, end: 12 },
+  afternoon: { start: 12, end: 16 },
+  evening: { start: 16, end: 20 },
+};
+
+// Slots can be booked from tomorrow up to this many days ahead
+const MAX_DELIVERY_DAYS_AHEAD = parseInt(process.env.MAX_DELIVERY_DAYS_AHEAD || "14", 10);
+// Orders placed without a slot (older app versions) are delivered in two days, as before
+const DEFAULT_DELIVERY_DAYS_AHEAD = 2;
+const DEFAULT_DELIVERY_WINDOW = "morning";
+
+/**
+ * Thrown for checkout requests that can't be accepted (bad slot, missing address, ...)
+ */
+class CheckoutError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "CheckoutError";
+    this.details = details;
+  }
+}
+
+const addDays = (date, days) => toUAEDateString(new Date(`${date}T12:00:00+04:00`).getTime() + days * DAY_MS);
+
+const uaeTime = (date, hour) => new Date(`${date}T${String(hour).padStart(2, "0")}:00:00+04:00`).toISOString();
+
+function slotOn(date, window) {
+  const { start, end } = DELIVERY_WINDOWS[window];
+  return { date, window, start: uaeTime(date, start), end: uaeTime(date, end) };
+}
+
+/**
+ * Every bookable delivery slot as of `now`, earliest first
+ */
+function availableDeliverySlots({ now = new Date() } = {}) {
+  const today = toUAEDateString(now);
+  const slots = [];
+  for (let day = 1; day <= MAX_DELIVERY_DAYS_AHEAD; day++) {
+    for (const window of Object.keys(DELIVERY_WINDOWS)) {
+      slots.push(slotOn(addDays(today, day), window));
+    }
+  }
+  return slots;
+}
+
+/**
+ * Check a requested slot { date: "YYYY-MM-DD", window } and expand it to
+ * { date, window, start, end }. Without a slot, returns the default one.
+ */
+function resolveDeliverySlot(slot, { now = new Date() } = {}) {
+  const today = toUAEDateString(now);
+  if (!slot) {
+    return slotOn(addDays(today, DEFAULT_DELIVERY_DAYS_AHEAD), DEFAULT_DELIVERY_WINDOW);
+  }
+
+  const { date, window = DEFAULT_DELIVERY_WINDOW } = slot;
+  if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date) || toUAEDateString(date) !== date) {
+    throw new CheckoutError("deliverySlot.date must be a date (YYYY-MM-DD)");
+  }
+  if (!DELIVERY_WINDOWS[window]) {
+    throw new CheckoutError(`deliverySlot.window must be one of ${Object.keys(DELIVERY_WINDOWS).join(", ")}`);
+  }
+
+  const earliest = addDays(today, 1);
+  const latest = addDays(today, MAX_DELIVERY_DAYS_AHEAD);
+  if (date < earliest || date > latest) {
+    throw new CheckoutError(`Delivery date must be between ${earliest} and ${latest}`, { earliest, latest });
+  }
+
+  return slotOn(date, window);
+}
+
+/**
+ * Check the delivery address; extra fields (building, notes, ...) are kept
+ * When not required, a missing address is stored as {}.
+ */
+function validateShippingDetails(shippingDetails, { required = true } = {}) {
+  if (!shippingDetails && !required) {
+    return {};
+  }
+  if (!shippingDetails || typeof shippingDetails !== "object" || Array.isArray(shippingDetails)) {
+    throw new CheckoutError("shippingDetails with a delivery address is required");
+  }
+  if (typeof shippingDetails.address !== "string" || !shippingDetails.address.trim()) {
+    if (required) {
+      throw new CheckoutError("shippingDetails.address is required");
+    }
+    return shippingDetails;
+  }
+  return { ...shippingDetails, address: shippingDetails.address.trim() };
+}
+
+/**
+ * Validate a checkout request body
+ * legacy relaxes what older routes never asked for: the address and delivery
+ * slot become optional (the slot falls back to the default).
+ * Returns { orderItems, shippingDetails, deliverySlot, paymentMethod, ... }.
+ */
+function parseCheckout(body, { legacy = false, now = new Date() } = {}) {
+  const { orderItems, paymentMethod } = body;
+
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new CheckoutError("orderItems are required");
+  }
+  if (!CHECKOUT_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new CheckoutError(`paymentMethod must be one of ${CHECKOUT_PAYMENT_METHODS.join(", ")}`);
+  }
+  if (body.customerSiteId && typeof body.customerSiteId !== "string") {
+    throw new CheckoutError("customerSiteId must be a site ID");
+  }
+  if (!legacy && !body.deliverySlot) {
+    throw new CheckoutError("deliverySlot is required");
+  }
+
+  return {
+    orderItems,
+    shippingDetails: validateShippingDetails(body.shippingDetails, { required: !legacy }),
+    deliverySlot: resolveDeliverySlot(body.deliverySlot, { now }),
+    paymentMethod,
+    paymentMethodId: body.paymentMethodId || null,
+    customerSiteId: body.customerSiteId || null,
+    splitPayment: Boolean(body.splitPayment),
+    totalAmount: body.totalAmount,
+  };
+}
+
+/**
+ * The order record for a paid (or pay-on-delivery) checkout
+ * payments lists what paid for it: [{ method, amount, paymentIntentId?, transactionId? }]
+ * Callers take the items out of stock, so the order is marked stockTaken.
+ */
+function buildOrder({
+  orderId,
+  userId,
+  quote,
+  totalAmount = quote.total,
+  shippingDetails,
+  customerSiteId = null,
+  deliverySlot,
+  paymentMethod,
+  paymentStatus,
+  paymentIntentId = null,
+  payments = [],
+  note = null,
+}) {
+  return {
+    orderId,
+    userId,
+    orderItems: quote.items,
+    totalAmount,
+    pricing: pricingSummary(quote),
+    shippingDetails,
+    customerSiteId,
+    deliverySlot,
+    deliveryDate: deliverySlot.start,
+    paymentMethod,
+    paymentStatus,
+    paymentIntentId,
+    payments,
+    stockTaken: true,
+    status: "confirmed",
+    statusHistory: [historyEntry("confirmed", { note })],
+    createdAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  parseCheckout,
+  resolveDeliverySlot,
+  availableDeliverySlots,
+  validateShippingDetails,
+  buildOrder,
+  CheckoutError,
+  CHECKOUT_PAYMENT_METHODS,
+  DELIVERY_WINDOWS,
+};
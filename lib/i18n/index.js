@@ -0,0 +1,178 @@
+/**
+ * Localized API responses
+ * The response language is picked from the Accept-Language header: English
+ * (the default) or Arabic. Messages are written in English in the code and
+ * translated on the way out from the tables in ./messages; catalog names and
+ * descriptions come from each entry's translations.
+ */
+
+const messages = require("./messages");
+
+const SUPPORTED_LANGUAGES = ["en", "ar"];
+const DEFAULT_LANGUAGE = "en";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const fill = (text, values) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/**
+ * Split a message table into exact messages and ones with {placeholders}
+ */
+function compileMessages(table) {
+  const exact = new Map();
+  const templates = [];
+  for (const [english, translated] of Object.entries(table)) {
+    const names = [...english.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    if (names.length === 0) {
+      exact.set(english, translated);
+      continue;
+    }
+    const pattern = new RegExp(`^${english.split(/\{\w+\}/).map(escapeRegExp).join("(.+?)")}$`);
+    templates.push({ pattern, names, translated });
+  }
+  return { exact, templates };
+}
+
+const compiledMessages = Object.fromEntries(
+  Object.entries(messages).map(([language, table]) => [language, compileMessages(table)])
+);
+
+/**
+ * The supported language the client prefers most, from an Accept-Language
+ * header such as "ar-AE,ar;q=0.9,en;q=0.8"; English if none of them is supported
+ */
+function requestLanguage(acceptLanguage) {
+  if (!acceptLanguage) {
+    return DEFAULT_LANGUAGE;
+  }
+
+  const ranges = String(acceptLanguage)
+    .split(",")
+    .map((range) => {
+      const [tag, ...params] = range.trim().split(";");
+      const qParam = params.map((param) => param.trim()).find((param) => param.startsWith("q="));
+      const quality = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return { language: tag.trim().toLowerCase().split("-")[0], quality: Number.isNaN(quality) ? 0 : quality };
+    })
+    .filter((range) => range.quality > 0)
+    .sort((a, b) => b.quality - a.quality); // Stable, so equal preferences keep header order
+
+  const preferred = ranges.find((range) => SUPPORTED_LANGUAGES.includes(range.language));
+  return preferred ? preferred.language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translate an English API message; messages without a translation are returned as they are
+ */
+function translateMessage(message, language) {
+  const table = compiledMessages[language];
+  if (!table || typeof message !== "string") {
+    return message;
+  }
+  if (table.exact.has(message)) {
+    return table.exact.get(message);
+  }
+  for (const { pattern, names, translated } of table.templates) {
+    const match = message.match(pattern);
+    if (match) {
+      return fill(translated, Object.fromEntries(names.map((name, index) => [name, match[index + 1]])));
+    }
+  }
+  return message;
+}
+
+/**
+ * A response body with its message and error (and data.message) translated
+ */
+function translateBody(body, language) {
+  if (language === DEFAULT_LANGUAGE || !body || typeof body !== "object" || Array.isArray(body)) {
+    return body;
+  }
+
+  const translated = { ...body };
+  for (const field of ["message", "error"]) {
+    if (typeof body[field] === "string") {
+      translated[field] = translateMessage(body[field], language);
+    }
+  }
+  if (body.data && typeof body.data === "object" && typeof body.data.message === "string") {
+    translated.data = { ...body.data, message: translateMessage(body.data.message, language) };
+  }
+  return translated;
+}
+
+/**
+ * Middleware: set req.language from Accept-Language and translate the
+ * messages of JSON responses into it
+ */
+function localizeResponses(req, res, next) {
+  req.language = requestLanguage(req.headers["accept-language"]);
+  res.set("Content-Language", req.language);
+  res.vary("Accept-Language");
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => originalJson(translateBody(body, req.language));
+
+  next();
+}
+
+/**
+ * A catalog product or category with its text in one language
+ * Text that hasn't been translated stays in English; translations are left out.
+ */
+function localize(entry, language) {
+  const { translations = {}, ...fields } = entry;
+  return { ...fields, ...translations[language] };
+}
+
+const DAY_NAMES = {
+  en: { mon: "Monday", tue: "Tuesday", wed: "Wednesday", thu: "Thursday", fri: "Friday", sat: "Saturday", sun: "Sunday" },
+  ar: { mon: "الاثنين", tue: "الثلاثاء", wed: "الأربعاء", thu: "الخميس", fri: "الجمعة", sat: "السبت", sun: "الأحد" },
+};
+
+const ARABIC_WEEKS = { 1: "الأول", 2: "الثاني", 3: "الثالث", 4: "الرابع", 5: "الخامس", last: "الأخير" };
+
+/**
+ * Format delivery frequency string
+ * e.g. "Every Monday, Thursday" / "كل الاثنين والخميس"
+ */
+function formatFrequency(planType, deliveryDays, weeksInMonth, language = DEFAULT_LANGUAGE) {
+  const dayNames = DAY_NAMES[language] || DAY_NAMES[DEFAULT_LANGUAGE];
+  const dayList = deliveryDays.map((d) => dayNames[d] || d);
+
+  if (language === "ar") {
+    const days = dayList.join(" و");
+    if (planType === "weekly") {
+      return `كل ${days}`;
+    } else if (planType === "monthly") {
+      const weeks = weeksInMonth.map((w) => ARABIC_WEEKS[w] || w).join(" و");
+      return `${days} (الأسبوع ${weeks} من كل شهر)`;
+    } else {
+      return `مخصص: ${days}`;
+    }
+  }
+
+  const days = dayList.join(", ");
+
+  if (planType === "weekly") {
+    return `Every ${days}`;
+  } else if (planType === "monthly") {
+    const weeks = weeksInMonth
+      .map((w) => (w === "last" ? "last" : `${w}${w === 1 ? "st" : w === 2 ? "nd" : w === 3 ? "rd" : "th"}`))
+      .join(", ");
+    return `${days} (${weeks} week${weeksInMonth.length !== 1 ? "s" : ""} of month)`;
+  } else {
+    return `Custom: ${days}`;
+  }
+}
+
+module.exports = {
+  requestLanguage,
+  translateMessage,
+  localizeResponses,
+  localize,
+  formatFrequency,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+};
@@ -0,0 +1,165 @@
+/**
+ * API messages in other languages, keyed by the English message
+ * Placeholders are written as {name}; they match whatever the English message has
+ * in that place (an ID, a status, a list) and are copied into the translation.
+ * Messages that only operations staff see (admin routes) stay in English.
+ */
+
+const ar = {
+  // Authentication and sessions
+  "Authentication required": "يجب تسجيل الدخول",
+  "Invalid or expired token": "رمز الدخول غير صالح أو منتهي الصلاحية",
+  "Failed to authenticate request": "تعذر التحقق من هوية الطلب",
+  "You do not have access to this user's data": "لا يمكنك الوصول إلى بيانات هذا المستخدم",
+  "Phone number and name are required": "رقم الهاتف والاسم مطلوبان",
+  "User already exists. Please sign in instead.": "المستخدم مسجل بالفعل. يرجى تسجيل الدخول بدلاً من ذلك.",
+  "Could not send verification code. Please try again.": "تعذر إرسال رمز التحقق. يرجى المحاولة مرة أخرى.",
+  "Temporary token is required": "الرمز المؤقت مطلوب",
+  "Temporary token and OTP are required": "الرمز المؤقت ورمز التحقق مطلوبان",
+  "Invalid or expired temporary token": "الرمز المؤقت غير صالح أو منتهي الصلاحية",
+  "Temporary token expired": "انتهت صلاحية الرمز المؤقت",
+  "Please wait before requesting another code": "يرجى الانتظار قبل طلب رمز آخر",
+  "Too many codes requested. Please try again later.": "تم طلب عدد كبير من الرموز. يرجى المحاولة لاحقًا.",
+  "Too many incorrect attempts. Please try again later.": "محاولات خاطئة كثيرة. يرجى المحاولة لاحقًا.",
+  "OTP must be 6 digits": "يجب أن يتكون رمز التحقق من 6 أرقام",
+  "Incorrect OTP": "رمز التحقق غير صحيح",
+  "OTP expired. Please request a new code.": "انتهت صلاحية رمز التحقق. يرجى طلب رمز جديد.",
+  "User not found": "المستخدم غير موجود",
+  "User ID is required": "معرّف المستخدم مطلوب",
+  "Logged out": "تم تسجيل الخروج",
+  "Session not found": "الجلسة غير موجودة",
+  "Session revoked": "تم إلغاء الجلسة",
+  "Internal server error": "حدث خطأ في الخادم",
+
+  // Idempotency keys
+  "Idempotency-Key was already used with a different request body": "تم استخدام مفتاح Idempotency-Key من قبل مع طلب مختلف",
+  "A request with this Idempotency-Key is still being processed": "لا يزال طلب بمفتاح Idempotency-Key نفسه قيد المعالجة",
+  "Failed to process Idempotency-Key": "تعذرت معالجة مفتاح Idempotency-Key",
+
+  // Catalog, prices and search
+  "Failed to fetch products": "تعذر جلب المنتجات",
+  "Failed to fetch subscription products": "تعذر جلب منتجات الاشتراك",
+  "Failed to search products": "تعذر البحث في المنتجات",
+  "You do not have access to this customer's prices": "لا يمكنك الاطلاع على أسعار هذا العميل",
+  "You are not registered at this site": "أنت غير مسجل في هذا الموقع",
+  "Customer site not found: {siteId}": "موقع العميل غير موجود: {siteId}",
+  "page must be 1 or more": "يجب أن يكون رقم الصفحة 1 أو أكثر",
+  "limit must be between 1 and {max}": "يجب أن يكون limit بين 1 و{max}",
+  "sort must be one of {orders}": "يجب أن يكون sort أحد الخيارات: {orders}",
+  "minPrice can't be more than maxPrice": "لا يمكن أن يكون minPrice أكبر من maxPrice",
+  "{name} must be an amount in AED": "يجب أن يكون {name} مبلغًا بالدرهم",
+
+  // Cart and checkout
+  "Failed to quote cart": "تعذر حساب سعر السلة",
+  "Order items are required": "يجب إضافة منتجات إلى الطلب",
+  "Order items are required for purchase": "يجب إضافة منتجات لإتمام الشراء",
+  "Order items could not be priced": "تعذر تسعير المنتجات المطلوبة",
+  "Order total does not match current prices": "إجمالي الطلب لا يطابق الأسعار الحالية",
+  "Unknown product: {productId}": "منتج غير معروف: {productId}",
+  "Invalid quantity for {productId}": "كمية غير صالحة للمنتج {productId}",
+  "{product} is not available right now": "{product} غير متوفر حاليًا",
+  "Out of stock: {products}": "نفد من المخزون: {products}",
+  "orderItems are required": "يجب إضافة منتجات إلى الطلب",
+  "shippingDetails with a delivery address is required": "عنوان التوصيل مطلوب",
+  "shippingDetails.address is required": "عنوان التوصيل مطلوب",
+  "paymentMethod must be one of {methods}": "يجب أن تكون طريقة الدفع إحدى: {methods}",
+  "customerSiteId must be a site ID": "يجب أن يكون customerSiteId معرّف موقع",
+  "deliverySlot is required": "موعد التوصيل مطلوب",
+  "deliverySlot.date must be a date (YYYY-MM-DD)": "يجب أن يكون تاريخ التوصيل بصيغة YYYY-MM-DD",
+  "deliverySlot.window must be one of {windows}": "يجب أن تكون فترة التوصيل إحدى: {windows}",
+  "Delivery date must be between {earliest} and {latest}": "يجب أن يكون تاريخ التوصيل بين {earliest} و{latest}",
+  "Failed to list delivery slots": "تعذر جلب مواعيد التوصيل",
+  "Missing required fields": "بعض الحقول المطلوبة غير موجودة",
+  "Invalid payment method. Must be credit_card, cash_on_delivery, or wallet":
+    "طريقة دفع غير صالحة. يجب أن تكون credit_card أو cash_on_delivery أو wallet",
+  "Failed to place order": "تعذر إتمام الطلب",
+  "Failed to create order": "تعذر إنشاء الطلب",
+
+  // Orders
+  "Order confirmed successfully": "تم تأكيد الطلب بنجاح",
+  "Order confirmed. Payment deducted from wallet.": "تم تأكيد الطلب وخصم المبلغ من المحفظة.",
+  "Order confirmed. Payment will be collected on delivery.": "تم تأكيد الطلب. سيتم تحصيل المبلغ عند التوصيل.",
+  "Order not found": "الطلب غير موجود",
+  "You do not have access to this order": "لا يمكنك الوصول إلى هذا الطلب",
+  "Orders that are {status} can no longer be cancelled": "لم يعد من الممكن إلغاء الطلبات بحالة {status}",
+  "Invalid cancellation quantity for {productId}": "كمية إلغاء غير صالحة للمنتج {productId}",
+  "Choose at least one item to cancel": "اختر منتجًا واحدًا على الأقل لإلغائه",
+  "This order can't be refunded automatically. Please contact support.":
+    "لا يمكن استرداد مبلغ هذا الطلب تلقائيًا. يرجى التواصل مع خدمة العملاء.",
+  "Failed to cancel order": "تعذر إلغاء الطلب",
+  "Failed to fetch order": "تعذر جلب الطلب",
+  "Failed to fetch orders": "تعذر جلب الطلبات",
+  "Failed to fetch this week's deliveries": "تعذر جلب توصيلات هذا الأسبوع",
+  "No deliveries scheduled for this week": "لا توجد توصيلات مجدولة هذا الأسبوع",
+  "Failed to fetch delivery history": "تعذر جلب سجل التوصيل",
+
+  // Payments and saved cards
+  "Card was declined": "تم رفض البطاقة",
+  "Complete the card payment to place the order.": "أكمل الدفع بالبطاقة لإتمام الطلب.",
+  "Payment intent ID and user ID are required": "معرّف عملية الدفع ومعرّف المستخدم مطلوبان",
+  "Payment intent does not belong to this user": "عملية الدفع لا تخص هذا المستخدم",
+  "Payment not completed. Status: {status}": "لم يكتمل الدفع. الحالة: {status}",
+  "The order no longer matches what was paid. The card payment has been refunded.":
+    "لم يعد الطلب مطابقًا للمبلغ المدفوع، وتم استرداد مبلغ البطاقة.",
+  "Invalid payment request": "طلب دفع غير صالح",
+  "Failed to create payment intent": "تعذر بدء عملية الدفع",
+  "Failed to confirm payment": "تعذر تأكيد الدفع",
+  "Saved card not found": "البطاقة المحفوظة غير موجودة",
+  "Card removed": "تمت إزالة البطاقة",
+  "Failed to fetch saved cards": "تعذر جلب البطاقات المحفوظة",
+  "Failed to start saving card": "تعذر بدء حفظ البطاقة",
+  "Failed to set default card": "تعذر تعيين البطاقة الافتراضية",
+  "Failed to remove card": "تعذرت إزالة البطاقة",
+
+  // Wallet
+  "Insufficient wallet balance": "رصيد المحفظة غير كافٍ",
+  "Invalid amount": "مبلغ غير صالح",
+  "Wallet balance changed. Please try again.": "تغيّر رصيد المحفظة. يرجى المحاولة مرة أخرى.",
+  "Wallet balance reserved. Pay the rest by card to place the order.":
+    "تم حجز رصيد المحفظة. ادفع المبلغ المتبقي بالبطاقة لإتمام الطلب.",
+  "The reserved wallet balance expired before the card payment finished. The card payment has been refunded.":
+    "انتهت مدة حجز رصيد المحفظة قبل اكتمال الدفع بالبطاقة، وتم استرداد مبلغ البطاقة.",
+  "Unknown top-up package: {packageId}": "باقة شحن غير معروفة: {packageId}",
+  "Refill amount must be between {min} and {max} AED": "يجب أن يكون مبلغ الشحن بين {min} و{max} درهم",
+  "Refill amount can't have more than 2 decimal places": "لا يمكن أن يحتوي مبلغ الشحن على أكثر من خانتين عشريتين",
+  "Invalid cursor": "مؤشر الصفحة غير صالح",
+  "month must be YYYY-MM": "يجب أن يكون الشهر بصيغة YYYY-MM",
+  "type must be one of {types}": "يجب أن يكون type أحد الخيارات: {types}",
+  "{name} must be a date (YYYY-MM-DD)": "يجب أن يكون {name} تاريخًا بصيغة YYYY-MM-DD",
+  "format must be json, csv or pdf": "يجب أن تكون الصيغة json أو csv أو pdf",
+  "Failed to fetch wallet balance": "تعذر جلب رصيد المحفظة",
+  "Failed to fetch transactions": "تعذر جلب المعاملات",
+  "Failed to fetch top-up packages": "تعذر جلب باقات الشحن",
+  "Failed to build wallet statement": "تعذر إعداد كشف حساب المحفظة",
+  "Failed to process wallet payment": "تعذرت معالجة الدفع من المحفظة",
+
+  // Subscriptions
+  "Subscription created successfully": "تم إنشاء الاشتراك بنجاح",
+  "Subscription cancelled": "تم إلغاء الاشتراك",
+  "Subscription not found": "الاشتراك غير موجود",
+  "You do not have access to this subscription": "لا يمكنك الوصول إلى هذا الاشتراك",
+  "This subscription has been cancelled": "تم إلغاء هذا الاشتراك",
+  "This product is not available for subscriptions": "هذا المنتج غير متاح للاشتراك",
+  "Valid plan type is required": "يرجى اختيار نوع خطة صالح",
+  "At least one delivery day is required": "يرجى اختيار يوم توصيل واحد على الأقل",
+  "Delivery days must be mon, tue, wed, thu, fri, sat or sun":
+    "يجب أن تكون أيام التوصيل من mon وtue وwed وthu وfri وsat وsun",
+  "At least one week in month is required for monthly/custom plans":
+    "يرجى اختيار أسبوع واحد على الأقل من الشهر للخطط الشهرية أو المخصصة",
+  "Weeks in month must be 1, 2, 3, 4, 5 or last": "يجب أن تكون أسابيع الشهر 1 أو 2 أو 3 أو 4 أو 5 أو last",
+  "Quantity per delivery must be a positive whole number": "يجب أن تكون الكمية في كل توصيلة عددًا صحيحًا موجبًا",
+  "Start date is required if not starting immediately": "تاريخ البدء مطلوب إذا لم يبدأ الاشتراك فورًا",
+  "Resume date must be a valid date in the future": "يجب أن يكون تاريخ الاستئناف تاريخًا صالحًا في المستقبل",
+  "There is no upcoming delivery to skip": "لا يوجد توصيل قادم لتخطيه",
+  "Failed to create subscription": "تعذر إنشاء الاشتراك",
+  "Failed to update subscription": "تعذر تحديث الاشتراك",
+  "Failed to pause subscription": "تعذر إيقاف الاشتراك مؤقتًا",
+  "Failed to resume subscription": "تعذر استئناف الاشتراك",
+  "Failed to skip delivery": "تعذر تخطي التوصيل",
+  "Failed to cancel subscription": "تعذر إلغاء الاشتراك",
+  "Failed to fetch subscriptions": "تعذر جلب الاشتراكات",
+  "Failed to fetch subscription deliveries": "تعذر جلب توصيلات الاشتراك",
+  "Failed to fetch subscription schedule": "تعذر جلب جدول الاشتراك",
+};
+
+module.exports = { ar };
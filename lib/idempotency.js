@@ -0,0 +1,90 @@
+/**
+ * Idempotency-Key support for mutating routes
+ * The first response for a key is stored and replayed for retries with the
+ * same key, so a client that times out and retries can't create a second
+ * order or payment. Keys are scoped to the authenticated user and route.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const IN_PROGRESS_TTL_MS = 60 * 1000; // 1 minute
+
+const fingerprint = (body) => crypto.createHash("sha256").update(JSON.stringify(body || {})).digest("hex");
+
+function createIdempotency({ idempotencyKeys, ttlMs = DEFAULT_TTL_MS }) {
+  /**
+   * Middleware: honour the Idempotency-Key header when present
+   * Must run after requireAuth so the key can be scoped to req.user
+   */
+  async function idempotent(req, res, next) {
+    const key = req.headers["idempotency-key"];
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const userId = req.user ? req.user.userId : "anonymous";
+      const id = crypto
+        .createHash("sha256")
+        .update(`${userId}:${req.method}:${req.baseUrl}${req.path}:${key}`)
+        .digest("hex");
+      const requestHash = fingerprint(req.body);
+      const existing = await idempotencyKeys.get(id);
+
+      if (existing && Date.now() < existing.expiresAt) {
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: "Idempotency-Key was already used with a different request body",
+          });
+        }
+        if (existing.state === "in_progress") {
+          return res.status(409).json({
+            success: false,
+            message: "A request with this Idempotency-Key is still being processed",
+          });
+        }
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      await idempotencyKeys.set(id, {
+        state: "in_progress",
+        requestHash,
+        expiresAt: Date.now() + IN_PROGRESS_TTL_MS, // Don't block retries forever if the process dies mid-request
+      });
+
+      // Capture the response so retries get exactly the same answer
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        const statusCode = res.statusCode;
+        const saved =
+          statusCode >= 500
+            ? idempotencyKeys.delete(id) // Server errors are safe to retry
+            : idempotencyKeys.set(id, {
+                state: "completed",
+                requestHash,
+                statusCode,
+                body,
+                expiresAt: Date.now() + ttlMs,
+              });
+        saved.catch((error) => console.error("Failed to save idempotency key:", error));
+        return originalJson(body);
+      };
+
+      next();
+    } catch (error) {
+      console.error("Idempotency error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process Idempotency-Key",
+        error: error.message,
+      });
+    }
+  }
+
+  return { idempotent };
+}
+
+module.exports = { createIdempotency };
@@ -0,0 +1,322 @@
+/**
+ * Wallet ledger
+ * Double-entry bookkeeping for customer wallets. Every money movement is an
+ * immutable entry whose postings sum to zero: one side is the customer's
+ * wallet account, the other a house account (Stripe, sales, bonuses, ...).
+ * A wallet's balance is the sum of the postings to its account; the wallet
+ * record only caches it, and reconcile() checks the cache against the entries.
+ * Amounts are integer fils (1/100 AED) so sums are exact.
+ *
+ * Every change to a wallet runs under that wallet's lock, so a debit's balance
+ * check and the debit itself can't interleave with another posting.
+ *
+ * Holds set part of a balance aside for a payment that hasn't finished yet
+ * (e.g. the wallet share of a split payment). They aren't entries: they only
+ * lower the available balance until they are captured, released or expire.
+ */
+
+const { createLocks } = require("./locks");
+
+const ENTRY_TYPES = ["refill", "purchase", "refund", "adjustment", "bonus"];
+
+// House accounts on the other side of wallet postings
+const ACCOUNTS = {
+  stripe: "external:stripe",
+  sales: "revenue:sales",
+  bonuses: "expense:bonuses",
+  adjustments: "equity:adjustments",
+};
+
+const DEFAULT_CONTRA_ACCOUNT = {
+  refill: ACCOUNTS.stripe,
+  purchase: ACCOUNTS.sales,
+  refund: ACCOUNTS.sales,
+  bonus: ACCOUNTS.bonuses,
+  adjustment: ACCOUNTS.adjustments,
+};
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+/**
+ * Thrown for entries that can't be posted (unknown type, non-integer amount, ...)
+ */
+class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LedgerError";
+  }
+}
+
+/**
+ * Thrown when a debit posted with requireFunds would take the wallet below zero
+ * balanceFils is what was available to spend (the balance less any holds)
+ */
+class InsufficientFundsError extends Error {
+  constructor(balanceFils, requiredFils) {
+    super("Insufficient wallet balance");
+    this.name = "InsufficientFundsError";
+    this.balanceFils = balanceFils;
+    this.requiredFils = requiredFils;
+  }
+}
+
+// Holds that haven't expired yet
+const activeHolds = (wallet, at = new Date()) => (wallet.holds || []).filter((hold) => new Date(hold.expiresAt) > at);
+
+/**
+ * Balance left to spend once active holds are set aside
+ */
+function availableFils(wallet, { exceptHoldId = null } = {}) {
+  const heldFils = activeHolds(wallet)
+    .filter((hold) => hold.id !== exceptHoldId)
+    .reduce((sum, hold) => sum + hold.amountFils, 0);
+  return wallet.balanceFils - heldFils;
+}
+
+/**
+ * Create a ledger over the ledgerEntries and wallets collections
+ */
+function createLedger({ ledgerEntries, wallets, currency = "AED", locks = createLocks() }) {
+  const withWalletLock = (userId, fn) => locks.withLock(walletAccount(userId), fn);
+
+  // Callers that change the wallet must hold its lock
+  async function loadWallet(userId) {
+    let wallet = await wallets.get(userId);
+    if (!wallet) {
+      wallet = {
+        userId,
+        balanceFils: 0,
+        currency,
+        failedRefills: [],
+        holds: [],
+        createdAt: new Date().toISOString(),
+      };
+      await wallets.set(userId, wallet);
+    }
+    return wallet;
+  }
+
+  /**
+   * Get a user's wallet, creating it empty on first use
+   */
+  async function getWallet(userId) {
+    const wallet = await wallets.get(userId);
+    return wallet || withWalletLock(userId, () => loadWallet(userId));
+  }
+
+  /**
+   * Change non-ledger wallet fields (e.g. failed refill attempts) under the wallet's lock
+   * fn(wallet) mutates the wallet; it must not touch balanceFils
+   */
+  async function updateWallet(userId, fn) {
+    return withWalletLock(userId, async () => {
+      const wallet = await loadWallet(userId);
+      await fn(wallet);
+      await wallets.set(userId, wallet);
+      return wallet;
+    });
+  }
+
+  function validateEntry({ id, type, amountFils }) {
+    if (!id) {
+      throw new LedgerError("Ledger entries need an id");
+    }
+    if (!ENTRY_TYPES.includes(type)) {
+      throw new LedgerError(`Unknown ledger entry type: ${type}`);
+    }
+    if (!Number.isInteger(amountFils) || amountFils === 0) {
+      throw new LedgerError(`Ledger amounts must be a non-zero whole number of fils, got ${amountFils}`);
+    }
+  }
+
+  // Write an entry and update the cached balance; the caller holds the wallet's lock
+  async function postLocked(
+    userId,
+    wallet,
+    { id, type, amountFils, reference = {}, description = null, contraAccount, requireFunds = false },
+    { exceptHoldId = null } = {}
+  ) {
+    const existing = await ledgerEntries.get(id);
+    if (existing) {
+      return { entry: existing, wallet, created: false };
+    }
+
+    const spendableFils = availableFils(wallet, { exceptHoldId });
+    if (requireFunds && amountFils < 0 && spendableFils + amountFils < 0) {
+      throw new InsufficientFundsError(spendableFils, -amountFils);
+    }
+
+    const entry = {
+      id,
+      type,
+      userId,
+      amountFils,
+      currency,
+      reference,
+      description,
+      postings: [
+        { account: walletAccount(userId), amountFils },
+        { account: contraAccount || DEFAULT_CONTRA_ACCOUNT[type], amountFils: -amountFils },
+      ],
+      createdAt: new Date().toISOString(),
+    };
+
+    await ledgerEntries.set(id, entry);
+    wallet.balanceFils += amountFils;
+    wallet.updatedAt = entry.createdAt;
+    await wallets.set(userId, wallet);
+
+    return { entry, wallet, created: true };
+  }
+
+  /**
+   * Post an entry against a user's wallet
+   * amountFils is signed from the wallet's side: positive credits the wallet,
+   * negative debits it. The entry ID must be derived from its source (payment
+   * intent, order, ...) so posting the same movement twice is a no-op.
+   * With requireFunds, a debit that would overdraw the wallet (or eat into
+   * held funds) throws InsufficientFundsError instead of being posted.
+   * Resolves with { entry, wallet, created }.
+   */
+  async function post(userId, entry) {
+    validateEntry(entry);
+    return withWalletLock(userId, async () => postLocked(userId, await loadWallet(userId), entry));
+  }
+
+  /**
+   * Set amountFils of the available balance aside until expiresAt
+   * Throws InsufficientFundsError if that much isn't available. Holding an
+   * existing hold ID again returns it. Resolves with { hold, wallet, created }.
+   */
+  async function hold(userId, { id, amountFils, expiresAt, reference = {} }) {
+    if (!id) {
+      throw new LedgerError("Holds need an id");
+    }
+    if (!Number.isInteger(amountFils) || amountFils <= 0) {
+      throw new LedgerError(`Hold amounts must be a positive whole number of fils, got ${amountFils}`);
+    }
+
+    return withWalletLock(userId, async () => {
+      const wallet = await loadWallet(userId);
+      const existing = activeHolds(wallet).find((h) => h.id === id);
+      if (existing) {
+        return { hold: existing, wallet, created: false };
+      }
+
+      const spendableFils = availableFils(wallet);
+      if (spendableFils < amountFils) {
+        throw new InsufficientFundsError(spendableFils, amountFils);
+      }
+
+      const created = {
+        id,
+        amountFils,
+        reference,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(expiresAt).toISOString(),
+      };
+      // Expired holds are dropped whenever the list is rewritten
+      wallet.holds = [...activeHolds(wallet), created];
+      await wallets.set(userId, wallet);
+      return { hold: created, wallet, created: true };
+    });
+  }
+
+  /**
+   * Drop a hold without moving any money
+   * Resolves with the hold, or null if it had already gone
+   */
+  async function releaseHold(userId, holdId) {
+    return withWalletLock(userId, async () => {
+      const wallet = await loadWallet(userId);
+      const released = (wallet.holds || []).find((h) => h.id === holdId) || null;
+      wallet.holds = activeHolds(wallet).filter((h) => h.id !== holdId);
+      await wallets.set(userId, wallet);
+      return released;
+    });
+  }
+
+  /**
+   * Post the debit a hold was set aside for and drop the hold in one step
+   * The held amount counts towards the funds check, so this only fails if the
+   * hold has expired and the balance has since been spent elsewhere.
+   * Resolves like post().
+   */
+  async function captureHold(userId, holdId, entry) {
+    validateEntry(entry);
+    return withWalletLock(userId, async () => {
+      const wallet = await loadWallet(userId);
+      const result = await postLocked(userId, wallet, { ...entry, requireFunds: true }, { exceptHoldId: holdId });
+      wallet.holds = activeHolds(wallet).filter((h) => h.id !== holdId);
+      await wallets.set(userId, wallet);
+      return result;
+    });
+  }
+
+  /**
+   * A user's entries, oldest first
+   */
+  async function entriesFor(userId) {
+    const entries = await ledgerEntries.filter((entry) => entry.userId === userId);
+    return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Compare a wallet's cached balance with the sum of its postings
+   */
+  async function reconcile(userId) {
+    // Read under the lock so a posting in flight can't show up as a mismatch
+    const { wallet, entries } = await withWalletLock(userId, async () => ({
+      wallet: await loadWallet(userId),
+      entries: await entriesFor(userId),
+    }));
+    const account = walletAccount(userId);
+    const ledgerFils = entries
+      .flatMap((entry) => entry.postings)
+      .filter((posting) => posting.account === account)
+      .reduce((sum, posting) => sum + posting.amountFils, 0);
+
+    return {
+      userId,
+      balanceFils: wallet.balanceFils,
+      ledgerFils,
+      entries: entries.length,
+      ok: wallet.balanceFils === ledgerFils,
+    };
+  }
+
+  /**
+   * Reconcile every wallet and check that every entry balances
+   */
+  async function reconcileAll() {
+    const allWallets = await wallets.values();
+    const mismatches = [];
+    for (const wallet of allWallets) {
+      const result = await reconcile(wallet.userId);
+      if (!result.ok) mismatches.push(result);
+    }
+
+    const unbalancedEntries = (await ledgerEntries.values())
+      .filter((entry) => entry.postings.reduce((sum, posting) => sum + posting.amountFils, 0) !== 0)
+      .map((entry) => entry.id);
+
+    return {
+      wallets: allWallets.length,
+      mismatches,
+      unbalancedEntries,
+      ok: mismatches.length === 0 && unbalancedEntries.length === 0,
+    };
+  }
+
+  return { getWallet, updateWallet, post, hold, releaseHold, captureHold, entriesFor, reconcile, reconcileAll };
+}
+
+module.exports = {
+  createLedger,
+  availableFils,
+  LedgerError,
+  InsufficientFundsError,
+  ENTRY_TYPES,
+  ACCOUNTS,
+  walletAccount,
+};
@@ -0,0 +1,37 @@
+/**
+ * In-process keyed mutex
+ * Serializes async work per key (a payment intent, a wallet, ...). This only
+ * protects a single server process; running several instances needs locking
+ * in the storage layer instead.
+ */
+
+function createLocks() {
+  const tails = new Map(); // key -> promise that settles when the last queued holder releases
+
+  /**
+   * Run fn while holding the lock for key; resolves with fn's result
+   */
+  async function withLock(key, fn) {
+    const previous = tails.get(key) || Promise.resolve();
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => held);
+    tails.set(key, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (tails.get(key) === tail) {
+        tails.delete(key);
+      }
+    }
+  }
+
+  return { withLock };
+}
+
+module.exports = { createLocks };
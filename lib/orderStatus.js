@@ -0,0 +1,114 @@
+/**
+ * Order lifecycle state machine
+ *
+ *   pending -> confirmed -> processing -> out_for_delivery -> delivered -> completed
+ *
+ * Orders can be cancelled until they leave for delivery and can fail at any
+ * point before they are delivered. completed, cancelled and failed are final.
+ */
+
+const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "processing",
+  "out_for_delivery",
+  "delivered",
+  "completed",
+  "cancelled",
+  "failed",
+];
+
+const TRANSITIONS = {
+  pending: ["confirmed", "cancelled", "failed"],
+  confirmed: ["processing", "cancelled", "failed"],
+  processing: ["out_for_delivery", "cancelled", "failed"],
+  out_for_delivery: ["delivered", "failed"],
+  delivered: ["completed"],
+  completed: [],
+  cancelled: [],
+  failed: [],
+};
+
+// Orders still on their way to the customer (My Orders tab)
+const ACTIVE_STATUSES = ["pending", "confirmed", "processing", "out_for_delivery"];
+
+// Orders that reached the customer (delivery history)
+const DELIVERED_STATUSES = ["delivered", "completed"];
+
+/**
+ * Thrown when an order can't move to the requested status
+ */
+class OrderTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = "OrderTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * A status history entry
+ */
+function historyEntry(status, { note, actor } = {}) {
+  return {
+    status,
+    at: new Date().toISOString(),
+    note: note || null,
+    actor: actor || "system",
+  };
+}
+
+/**
+ * Move an order to a new status, appending to its history
+ * Mutates and returns the order; throws OrderTransitionError if not allowed
+ */
+function transitionOrder(order, status, details = {}) {
+  if (!canTransition(order.status, status)) {
+    throw new OrderTransitionError(order.status, status);
+  }
+
+  order.statusHistory = getStatusHistory(order);
+  order.statusHistory.push(historyEntry(status, details));
+  order.status = status;
+  order.updatedAt = new Date().toISOString();
+
+  if (status === "delivered") {
+    order.deliveredAt = order.updatedAt;
+  }
+  return order;
+}
+
+/**
+ * The order's status history, falling back to a single entry for orders
+ * created before history was recorded
+ */
+function getStatusHistory(order) {
+  if (order.statusHistory && order.statusHistory.length > 0) {
+    return order.statusHistory;
+  }
+  return [
+    {
+      status: order.status,
+      at: order.createdAt || null,
+      note: null,
+      actor: "system",
+    },
+  ];
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  ACTIVE_STATUSES,
+  DELIVERED_STATUSES,
+  OrderTransitionError,
+  canTransition,
+  historyEntry,
+  transitionOrder,
+  getStatusHistory,
+};
@@ -0,0 +1,223 @@
+/**
+ * One-time password issuing and verification
+ * Codes are stored per phone number in otpStore as a SHA-256 hash together
+ * with the attempt counter and resend bookkeeping.
+ */
+
+const crypto = require("crypto");
+
+const OTP_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const MAX_RESENDS = 5;
+// SMS delivery statuses that later callbacks don't change
+const FINAL_DELIVERY_STATUSES = ["delivered", "undelivered", "failed"];
+
+// Generate OTP (6 digits) using a CSPRNG
+function generateOTP() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+const hashOTP = (phone, otp) => crypto.createHash("sha256").update(`${phone}:${otp}`).digest("hex");
+
+/**
+ * Create the OTP service
+ * In dev mode any 6-digit code is accepted, which keeps demos working without SMS
+ */
+function createOtpService({ otpStore, devMode = false }) {
+  /**
+   * Returns the lockout expiry (ms) if the phone is currently locked out, else null
+   */
+  async function lockedUntil(phone) {
+    const record = await otpStore.get(phone);
+    if (record && record.lockedUntil && Date.now() < record.lockedUntil) {
+      return record.lockedUntil;
+    }
+    return null;
+  }
+
+  /**
+   * Why a new code can't be sent for a record right now, or null if it can
+   * Returns { error, retryAfterMs? }
+   */
+  function sendBlocked(record, now) {
+    if (record.lockedUntil && now < record.lockedUntil) {
+      return { error: "locked", retryAfterMs: record.lockedUntil - now };
+    }
+    if (now - record.lastSentAt < RESEND_COOLDOWN_MS) {
+      return { error: "cooldown", retryAfterMs: RESEND_COOLDOWN_MS - (now - record.lastSentAt) };
+    }
+    if (record.resendCount >= MAX_RESENDS) {
+      return { error: "too_many_resends", retryAfterMs: Math.max(record.expiresAt - now, 0) };
+    }
+    return null;
+  }
+
+  /**
+   * Send a new code in place of a record's current one
+   * Wrong attempts carry over, so asking for another code doesn't get around the
+   * lockout; only a lockout that has run its course clears them.
+   */
+  async function replaceCode(phone, record, now) {
+    const otp = generateOTP();
+    Object.assign(record, {
+      phone,
+      otpHash: hashOTP(phone, otp),
+      expiresAt: now + OTP_TTL_MS,
+      lastSentAt: now,
+      resendCount: record.resendCount + 1,
+      delivery: null,
+    });
+    if (record.lockedUntil) {
+      Object.assign(record, { attempts: 0, lockedUntil: null });
+    }
+    await otpStore.set(phone, record);
+    return { otp, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Generate and store a code for the phone number
+   * While an earlier code is still live this counts as a resend: its attempt and
+   * resend counters are kept and the cooldown and resend limit apply. Only once
+   * it has expired does the phone start afresh.
+   * Returns { otp, expiresAt, reissued } or { error, retryAfterMs }
+   */
+  async function issue(phone) {
+    const now = Date.now();
+    const existing = await otpStore.get(phone);
+
+    if (existing && now <= existing.expiresAt) {
+      const blocked = sendBlocked(existing, now);
+      if (blocked) {
+        return blocked;
+      }
+      return { ...(await replaceCode(phone, existing, now)), reissued: true };
+    }
+
+    const otp = generateOTP();
+    const record = {
+      phone,
+      otpHash: hashOTP(phone, otp),
+      expiresAt: now + OTP_TTL_MS,
+      attempts: 0,
+      lastSentAt: now,
+      resendCount: 0,
+      lockedUntil: null,
+      delivery: null,
+    };
+    await otpStore.set(phone, record);
+    return { otp, expiresAt: record.expiresAt, reissued: false };
+  }
+
+  /**
+   * Replace the code for a phone number, subject to cooldown and resend limits
+   * As with a reissue from issue(), the attempt counter is kept.
+   * Returns { otp, expiresAt } or { error, retryAfterMs }
+   */
+  async function resend(phone) {
+    const now = Date.now();
+    const record = await otpStore.get(phone);
+
+    if (!record) {
+      return { error: "not_found" };
+    }
+    const blocked = sendBlocked(record, now);
+    if (blocked) {
+      return blocked;
+    }
+
+    return replaceCode(phone, record, now);
+  }
+
+  /**
+   * Check a submitted code
+   * Returns { valid: true } or { valid: false, reason, attemptsRemaining? }
+   * Reasons: "not_found", "expired", "locked", "invalid"
+   */
+  async function verify(phone, otp) {
+    const now = Date.now();
+
+    if (devMode) {
+      await otpStore.delete(phone);
+      return { valid: true };
+    }
+
+    const record = await otpStore.get(phone);
+
+    if (!record || !record.otpHash) {
+      return { valid: false, reason: "not_found" };
+    }
+    if (record.lockedUntil && now < record.lockedUntil) {
+      return { valid: false, reason: "locked" };
+    }
+    if (now > record.expiresAt) {
+      return { valid: false, reason: "expired" };
+    }
+
+    const expected = Buffer.from(record.otpHash, "hex");
+    const actual = Buffer.from(hashOTP(phone, otp), "hex");
+
+    if (crypto.timingSafeEqual(expected, actual)) {
+      await otpStore.delete(phone);
+      return { valid: true };
+    }
+
+    record.attempts += 1;
+    if (record.attempts >= MAX_ATTEMPTS) {
+      // Burn the code and lock the phone out for a while
+      record.otpHash = null;
+      record.lockedUntil = now + LOCKOUT_MS;
+      await otpStore.set(phone, record);
+      return { valid: false, reason: "locked" };
+    }
+
+    await otpStore.set(phone, record);
+    return { valid: false, reason: "invalid", attemptsRemaining: MAX_ATTEMPTS - record.attempts };
+  }
+
+  /**
+   * Record the outcome of sending the current code by SMS
+   */
+  async function recordDelivery(phone, delivery) {
+    const record = await otpStore.get(phone);
+    if (!record) {
+      return;
+    }
+    record.delivery = delivery;
+    await otpStore.set(phone, record);
+  }
+
+  /**
+   * Update the delivery status of the message with this ID (from a provider callback)
+   * Matched on the message ID rather than the number, which the provider may
+   * format differently. Ignored if another code has been sent since or the
+   * message already reached a final status.
+   */
+  async function updateDeliveryStatus(messageId, { status, error = null }) {
+    const record = await otpStore.find((r) => r.delivery && r.delivery.messageId === messageId);
+    if (!record || !record.phone || FINAL_DELIVERY_STATUSES.includes(record.delivery.status)) {
+      return false;
+    }
+    record.delivery = { ...record.delivery, status, error, updatedAt: new Date().toISOString() };
+    await otpStore.set(record.phone, record);
+    return true;
+  }
+
+  /**
+   * Drop the code for a phone number (e.g. when it could not be delivered)
+   */
+  async function discard(phone) {
+    await otpStore.delete(phone);
+  }
+
+  return { issue, resend, verify, lockedUntil, recordDelivery, updateDeliveryStatus, discard };
+}
+
+module.exports = {
+  createOtpService,
+  generateOTP,
+  OTP_TTL_MS,
+  MAX_ATTEMPTS,
+  RESEND_COOLDOWN_MS,
+};
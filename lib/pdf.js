@@ -0,0 +1,76 @@
+/**
+ * Minimal PDF writer
+ * Lays out plain text lines on A4 pages in a monospaced font, which is all
+ * the wallet statements need, without pulling in a PDF library. The standard
+ * Courier font only covers Latin-1, so callers check text with canRender and
+ * substitute something printable (e.g. the English text) for the rest; any
+ * character still left over comes out as "?".
+ */
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+// Printable Latin-1, which Courier shows through WinAnsiEncoding
+const UNPRINTABLE = /[^\x20-\x7e\xa0-\xff]/g;
+
+/**
+ * Whether text can be shown as it is, without any character becoming "?"
+ */
+const canRender = (text) => !String(text).match(UNPRINTABLE);
+
+// PDF string literals need (, ) and \ escaped
+const escapeText = (text) =>
+  String(text)
+    .replace(UNPRINTABLE, "?")
+    .replace(/[\\()]/g, (c) => `\\${c}`);
+
+function pageContent(lines) {
+  const body = lines.map((line) => `(${escapeText(line)}) Tj T*`).join("\n");
+  return `BT\n/F1 ${FONT_SIZE} Tf\n${LINE_HEIGHT} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN} Td\n${body}\nET`;
+}
+
+/**
+ * Render lines of text to a PDF document; returns a Buffer
+ */
+function renderTextPdf(lines) {
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+    pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  }
+
+  // Objects 1-3 are the catalog, page tree and font; each page adds a page and a content stream
+  const pageIds = pages.map((_, i) => 4 + i * 2);
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>",
+  ];
+  for (const [i, page] of pages.entries()) {
+    const content = pageContent(page);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`
+    );
+  }
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((object, i) => {
+    offsets.push(Buffer.byteLength(pdf, "latin1"));
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = { renderTextPdf, canRender };
@@ -0,0 +1,245 @@
+/**
+ * Customer price lists
+ * Contract prices for corporate customers, offices and villa compounds. A price
+ * list sets prices for some products and is assigned to customers and/or
+ * customer sites (a delivery location shared by several customers, e.g. a
+ * compound or an office building). A customer can have one list and a site one
+ * list.
+ *
+ * A product's price for a customer ordering at a site is the site's list price,
+ * else the customer's list price, else the catalog price.
+ */
+
+const { toFils, toAED } = require("./pricing");
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+/**
+ * Thrown for price list changes or lookups that can't be made
+ */
+class PriceListError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PriceListError";
+    this.status = status;
+  }
+}
+
+const isText = (value) => typeof value === "string" && value.trim().length > 0;
+
+const isIdList = (value) => Array.isArray(value) && value.every((id) => isText(id));
+
+/**
+ * Create price lists over the priceLists and customerSites collections
+ * productExists(id) and userExists(id) resolve with whether the catalog product
+ * (archived ones too) or customer account exists
+ */
+function createPriceLists({ priceLists, customerSites, productExists, userExists }) {
+  async function requirePriceList(priceListId) {
+    const priceList = await priceLists.get(priceListId);
+    if (!priceList) {
+      throw new PriceListError(`Price list not found: ${priceListId}`, 404);
+    }
+    return priceList;
+  }
+
+  async function requireSite(siteId) {
+    const site = await customerSites.get(siteId);
+    if (!site) {
+      throw new PriceListError(`Customer site not found: ${siteId}`, 404);
+    }
+    return site;
+  }
+
+  async function checkCustomers(customerIds) {
+    for (const customerId of customerIds) {
+      if (!(await userExists(customerId))) {
+        throw new PriceListError(`Unknown customer: ${customerId}`);
+      }
+    }
+  }
+
+  // Prices are { productId: AED }; every product must be in the catalog
+  async function validatePrices(prices) {
+    if (!prices || typeof prices !== "object" || Array.isArray(prices)) {
+      throw new PriceListError("prices must be an object of productId: price");
+    }
+    for (const [productId, price] of Object.entries(prices)) {
+      if (!(typeof price === "number" && price > 0 && toAED(toFils(price)) === price)) {
+        throw new PriceListError(`Price for ${productId} must be a positive amount in AED (2 decimal places)`);
+      }
+      if (!(await productExists(productId))) {
+        throw new PriceListError(`Unknown product: ${productId}`);
+      }
+    }
+    return { ...prices };
+  }
+
+  /**
+   * Check that none of the customers or sites already has another list
+   */
+  async function checkAssignments(priceListId, { customerIds = [], siteIds = [] }) {
+    for (const siteId of siteIds) {
+      await requireSite(siteId);
+    }
+    const others = await priceLists.filter((priceList) => priceList.id !== priceListId);
+    for (const other of others) {
+      const customerId = customerIds.find((id) => other.customerIds.includes(id));
+      if (customerId) {
+        throw new PriceListError(`Customer ${customerId} already has price list ${other.id}`, 409);
+      }
+      const siteId = siteIds.find((id) => other.siteIds.includes(id));
+      if (siteId) {
+        throw new PriceListError(`Site ${siteId} already has price list ${other.id}`, 409);
+      }
+    }
+  }
+
+  async function validatePriceListFields(input, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+      if (!isText(input.name)) throw new PriceListError("name is required");
+      fields.name = input.name.trim();
+    }
+    if (!partial || input.prices !== undefined) {
+      fields.prices = await validatePrices(input.prices);
+    }
+    for (const name of ["customerIds", "siteIds"]) {
+      if (input[name] !== undefined) {
+        if (!isIdList(input[name])) throw new PriceListError(`${name} must be a list of IDs`);
+        fields[name] = [...new Set(input[name])];
+      }
+    }
+    if (fields.customerIds) {
+      await checkCustomers(fields.customerIds);
+    }
+    return fields;
+  }
+
+  async function listPriceLists() {
+    const all = await priceLists.values();
+    return all.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async function createPriceList(input) {
+    if (typeof input.id !== "string" || !ID_PATTERN.test(input.id)) {
+      throw new PriceListError("id must be lowercase letters, digits, - or _");
+    }
+    if (await priceLists.has(input.id)) {
+      throw new PriceListError(`Price list ${input.id} already exists`, 409);
+    }
+    const fields = await validatePriceListFields(input);
+    const now = new Date().toISOString();
+    const priceList = { id: input.id, customerIds: [], siteIds: [], ...fields, createdAt: now, updatedAt: now };
+    await checkAssignments(priceList.id, priceList);
+    await priceLists.set(priceList.id, priceList);
+    return priceList;
+  }
+
+  /**
+   * Change a price list; prices, customerIds and siteIds are replaced as a whole
+   */
+  async function updatePriceList(priceListId, changes) {
+    const existing = await requirePriceList(priceListId);
+    const fields = await validatePriceListFields(changes, { partial: true });
+    const priceList = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+    await checkAssignments(priceListId, priceList);
+    await priceLists.set(priceListId, priceList);
+    return priceList;
+  }
+
+  async function listSites() {
+    const all = await customerSites.values();
+    return all.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  async function validateSiteFields(input, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+      if (!isText(input.name)) throw new PriceListError("name is required");
+      fields.name = input.name.trim();
+    }
+    if (input.address !== undefined) {
+      if (input.address !== null && typeof input.address !== "string") {
+        throw new PriceListError("address must be a string or null");
+      }
+      fields.address = input.address;
+    }
+    if (input.customerIds !== undefined) {
+      if (!isIdList(input.customerIds)) throw new PriceListError("customerIds must be a list of IDs");
+      fields.customerIds = [...new Set(input.customerIds)];
+      await checkCustomers(fields.customerIds);
+    }
+    return fields;
+  }
+
+  async function createSite(input) {
+    if (typeof input.id !== "string" || !ID_PATTERN.test(input.id)) {
+      throw new PriceListError("id must be lowercase letters, digits, - or _");
+    }
+    if (await customerSites.has(input.id)) {
+      throw new PriceListError(`Customer site ${input.id} already exists`, 409);
+    }
+    const now = new Date().toISOString();
+    const site = {
+      id: input.id,
+      address: null,
+      customerIds: [],
+      ...(await validateSiteFields(input)),
+      createdAt: now,
+      updatedAt: now,
+    };
+    await customerSites.set(site.id, site);
+    return site;
+  }
+
+  async function updateSite(siteId, changes) {
+    const existing = await requireSite(siteId);
+    const fields = await validateSiteFields(changes, { partial: true });
+    const site = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+    await customerSites.set(siteId, site);
+    return site;
+  }
+
+  /**
+   * The prices that apply to a customer, optionally ordering at one of their sites
+   * Throws PriceListError if the site doesn't exist (404) or the customer isn't
+   * registered at it (403). Resolves with { priceListIds, prices } where prices
+   * maps product IDs to contract prices (empty without a list).
+   */
+  async function resolvePrices({ customerId = null, siteId = null } = {}) {
+    const applicable = [];
+
+    if (siteId) {
+      const site = await requireSite(siteId);
+      if (!customerId || !site.customerIds.includes(customerId)) {
+        throw new PriceListError("You are not registered at this site", 403);
+      }
+      const siteList = await priceLists.find((priceList) => priceList.siteIds.includes(siteId));
+      if (siteList) applicable.push(siteList);
+    }
+    if (customerId) {
+      const customerList = await priceLists.find((priceList) => priceList.customerIds.includes(customerId));
+      if (customerList) applicable.push(customerList);
+    }
+
+    // Applied least specific first, so the site's prices win
+    const prices = {};
+    for (const priceList of [...applicable].reverse()) {
+      Object.assign(prices, priceList.prices);
+    }
+    return { priceListIds: applicable.map((priceList) => priceList.id), prices };
+  }
+
+  return {
+    listPriceLists,
+    createPriceList,
+    updatePriceList,
+    listSites,
+    createSite,
+    updateSite,
+    resolvePrices,
+  };
+}
+
+module.exports = { createPriceLists, PriceListError };
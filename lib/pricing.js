@@ -0,0 +1,155 @@
+/**
+ * Server-side cart pricing
+ * Resolves each cart line against the catalog and computes subtotal, delivery
+ * fee and VAT. Client-supplied prices and totals are never trusted; all maths
+ * is done in fils (1/100 AED) so totals don't pick up floating point noise.
+ */
+
+const VAT_RATE = parseFloat(process.env.VAT_RATE || "0.15");
+const DELIVERY_FEE = parseFloat(process.env.DELIVERY_FEE || "10");
+const FREE_DELIVERY_THRESHOLD = parseFloat(process.env.FREE_DELIVERY_THRESHOLD || "100");
+const MAX_QUANTITY_PER_ITEM = 100;
+
+// Totals within this many AED of each other are considered equal
+const TOTAL_TOLERANCE = 0.01;
+
+const toFils = (aed) => Math.round(aed * 100);
+const toAED = (fils) => fils / 100;
+
+/**
+ * Thrown for carts that can't be priced (unknown product, bad quantity, ...)
+ */
+class PricingError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "PricingError";
+    this.details = details;
+  }
+}
+
+const NO_CONTRACT_PRICES = { priceListIds: [], prices: {} };
+
+/**
+ * A product's price under contract prices ({ productId: price }), else its catalog price
+ */
+const contractPrice = (product, prices) => (prices[product.id] !== undefined ? prices[product.id] : product.price);
+
+/**
+ * Create a pricing engine over a product lookup
+ * findProduct(id) resolves with the catalog product, or undefined if it can't be bought
+ * resolvePrices({ customerId, siteId }) resolves with the customer's contract
+ * prices as { priceListIds, prices: { productId: price } }
+ */
+function createPricing({ findProduct, resolvePrices = async () => NO_CONTRACT_PRICES }) {
+  /**
+   * What one unit of a bundle contains, as [{ id, name, quantity }]
+   * Recorded on the order line so the order keeps the contents it was sold with.
+   */
+  async function bundleContents(product) {
+    const contents = [];
+    for (const component of product.components) {
+      const part = await findProduct(component.productId);
+      if (!part) {
+        throw new PricingError(`${product.name} is not available right now`, { productId: product.id });
+      }
+      contents.push({ id: part.id, name: part.name, quantity: component.quantity });
+    }
+    return contents;
+  }
+
+  /**
+   * Price a cart
+   * orderItems: [{ id, quantity }] (any price/name fields are ignored)
+   * customerId and siteId select contract prices; without them catalog prices apply.
+   * Bundle lines list their contents in components.
+   */
+  async function quote(orderItems, { customerId = null, siteId = null } = {}) {
+    if (!Array.isArray(orderItems) || orderItems.length === 0) {
+      throw new PricingError("Order items are required");
+    }
+
+    const { priceListIds, prices } = await resolvePrices({ customerId, siteId });
+    const items = [];
+    for (const item of orderItems) {
+      const product = item && (await findProduct(item.id));
+      if (!product) {
+        throw new PricingError(`Unknown product: ${item && item.id}`, { productId: item && item.id });
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY_PER_ITEM) {
+        throw new PricingError(`Invalid quantity for ${product.id}`, { productId: product.id });
+      }
+
+      const unitPriceFils = toFils(contractPrice(product, prices));
+      const line = {
+        id: product.id,
+        name: product.name,
+        price: toAED(unitPriceFils),
+        quantity,
+        currency: "AED",
+        lineTotal: toAED(unitPriceFils * quantity),
+      };
+      if (Array.isArray(product.components) && product.components.length > 0) {
+        line.components = await bundleContents(product);
+      }
+      items.push(line);
+    }
+
+    const subtotalFils = items.reduce((sum, item) => sum + toFils(item.lineTotal), 0);
+    const deliveryFee = subtotalFils >= toFils(FREE_DELIVERY_THRESHOLD) ? 0 : DELIVERY_FEE;
+
+    return { items, ...summarize(items, { deliveryFee, vatRate: VAT_RATE }), priceListIds };
+  }
+
+  return { quote };
+}
+
+/**
+ * Totals for already-priced items with a fixed delivery fee and VAT rate
+ * Used when an existing order changes (e.g. partial cancellation) so the
+ * customer keeps the fee and rate they were originally quoted
+ */
+function summarize(items, { deliveryFee, vatRate }) {
+  const subtotalFils = items.reduce((sum, item) => sum + toFils(item.price) * item.quantity, 0);
+  const deliveryFeeFils = items.length > 0 ? toFils(deliveryFee) : 0;
+  const vatFils = Math.round((subtotalFils + deliveryFeeFils) * vatRate);
+
+  return {
+    subtotal: toAED(subtotalFils),
+    deliveryFee: toAED(deliveryFeeFils),
+    vatRate,
+    vat: toAED(vatFils),
+    total: toAED(subtotalFils + deliveryFeeFils + vatFils),
+    currency: "AED",
+  };
+}
+
+/**
+ * Whether a client-supplied total agrees with the server quote
+ */
+function totalsMatch(clientTotal, serverTotal) {
+  return Math.abs(Number(clientTotal) - serverTotal) < TOTAL_TOLERANCE;
+}
+
+/**
+ * The breakdown stored on orders, without the line items
+ */
+function pricingSummary(quote) {
+  const { subtotal, deliveryFee, vatRate, vat, total, currency, priceListIds = [] } = quote;
+  return { subtotal, deliveryFee, vatRate, vat, total, currency, priceListIds };
+}
+
+module.exports = {
+  createPricing,
+  contractPrice,
+  PricingError,
+  summarize,
+  totalsMatch,
+  toFils,
+  toAED,
+  pricingSummary,
+  VAT_RATE,
+  DELIVERY_FEE,
+  FREE_DELIVERY_THRESHOLD,
+};
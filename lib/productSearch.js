@@ -0,0 +1,184 @@
+/**
+ * Product search
+ * Full-text matching over product names and descriptions in every language a
+ * product has (English plus its translations), with filters, sorting and pages.
+ * Text is normalized before matching: case and accents are ignored, and for
+ * Arabic so are diacritics, tatweel, the "ال" article and the different forms
+ * of alef, ya and ta marbuta.
+ */
+
+const { isInStock } = require("./catalog");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORT_ORDERS = ["relevance", "price_asc", "price_desc", "popularity"];
+const ARABIC_ARTICLE = "\u0627\u0644"; // al-
+
+/**
+ * Thrown for search queries that can't be answered (bad price range, sort, ...)
+ */
+class SearchQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SearchQueryError";
+  }
+}
+
+function normalizeText(text) {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Latin accents
+    .replace(/[\u064b-\u065f\u0670\u0640]/g, "") // Arabic diacritics and tatweel
+    .replace(/[\u0622\u0623\u0625\u0671]/g, "\u0627") // alef forms -> bare alef
+    .replace(/\u0649/g, "\u064a") // alef maqsura -> ya
+    .replace(/\u0629/g, "\u0647") // ta marbuta -> ha
+    .replace(/[\u0660-\u0669]/g, (digit) => String(digit.charCodeAt(0) - 0x0660)); // Arabic-Indic digits
+}
+
+const splitWords = (text) => normalizeText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const withoutArticle = (word) => (word.startsWith(ARABIC_ARTICLE) && word.length > 3 ? word.slice(2) : word);
+
+// Words to match against; Arabic words are indexed with and without the article
+function indexWords(text) {
+  return splitWords(text).flatMap((word) => [...new Set([word, withoutArticle(word)])]);
+}
+
+function searchableWords(product) {
+  const texts = [{ name: product.name, description: product.description }, ...Object.values(product.translations || {})];
+  return {
+    nameWords: texts.flatMap((text) => (text.name ? indexWords(text.name) : [])),
+    descriptionWords: texts.flatMap((text) => (text.description ? indexWords(text.description) : [])),
+  };
+}
+
+/**
+ * How well a product matches the search terms, or 0 if any term doesn't match
+ * Terms match the start of a word; whole words in the name count the most.
+ */
+function relevance(product, terms) {
+  const { nameWords, descriptionWords } = searchableWords(product);
+  let score = 0;
+  for (const term of terms) {
+    if (nameWords.includes(term)) {
+      score += 4;
+    } else if (nameWords.some((word) => word.startsWith(term))) {
+      score += 3;
+    } else if (descriptionWords.some((word) => word.startsWith(term))) {
+      score += 1;
+    } else {
+      return 0;
+    }
+  }
+  return score;
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === "") return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new SearchQueryError(`${name} must be an amount in AED`);
+  }
+  return amount;
+}
+
+const parseList = (value) => (value ? String(value).split(",").map((item) => item.trim()).filter(Boolean) : null);
+
+/**
+ * Parse search query parameters:
+ * { q, category, badge, minPrice, maxPrice, inStock, sort, page, limit }
+ * category and badge are comma-separated lists
+ */
+function parseSearchQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new SearchQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const page = query.page === undefined ? 1 : parseInt(query.page, 10);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new SearchQueryError("page must be 1 or more");
+  }
+
+  const sort = query.sort || "relevance";
+  if (!SORT_ORDERS.includes(sort)) {
+    throw new SearchQueryError(`sort must be one of ${SORT_ORDERS.join(", ")}`);
+  }
+
+  const minPrice = parseAmount(query.minPrice, "minPrice");
+  const maxPrice = parseAmount(query.maxPrice, "maxPrice");
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw new SearchQueryError("minPrice can't be more than maxPrice");
+  }
+
+  const badges = parseList(query.badge);
+
+  return {
+    terms: query.q ? splitWords(query.q).map(withoutArticle) : [],
+    categories: parseList(query.category),
+    badges: badges && badges.map(normalizeText),
+    minPrice,
+    maxPrice,
+    inStockOnly: query.inStock === "true",
+    sort,
+    page,
+    limit,
+  };
+}
+
+/**
+ * One page of matching products
+ * products are in display order and priced for the caller. Without search
+ * terms, "relevance" keeps the display order.
+ * Returns { products, total, page, limit, hasMore }
+ */
+function searchProducts(
+  products,
+  {
+    terms = [],
+    categories = null,
+    badges = null,
+    minPrice = null,
+    maxPrice = null,
+    inStockOnly = false,
+    sort = "relevance",
+    page = 1,
+    limit = DEFAULT_PAGE_SIZE,
+  } = {}
+) {
+  const matches = [];
+  products.forEach((product, position) => {
+    const score = terms.length > 0 ? relevance(product, terms) : 1;
+    if (
+      score > 0 &&
+      (!categories || categories.includes(product.categoryId)) &&
+      (!badges || (product.badge && badges.includes(normalizeText(product.badge)))) &&
+      (minPrice === null || product.price >= minPrice) &&
+      (maxPrice === null || product.price <= maxPrice) &&
+      (!inStockOnly || isInStock(product))
+    ) {
+      matches.push({ product, score, position });
+    }
+  });
+
+  // Ties keep the display order
+  const comparators = {
+    relevance: (a, b) => b.score - a.score,
+    price_asc: (a, b) => a.product.price - b.product.price,
+    price_desc: (a, b) => b.product.price - a.product.price,
+    popularity: (a, b) => (b.product.unitsSold || 0) - (a.product.unitsSold || 0),
+  };
+  matches.sort((a, b) => comparators[sort](a, b) || a.position - b.position);
+
+  const start = (page - 1) * limit;
+  return {
+    products: matches.slice(start, start + limit).map((match) => match.product),
+    total: matches.length,
+    page,
+    limit,
+    hasMore: start + limit < matches.length,
+  };
+}
+
+module.exports = { parseSearchQuery, searchProducts, normalizeText, SearchQueryError, SORT_ORDERS };
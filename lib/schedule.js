@@ -0,0 +1,151 @@
+/**
+ * Subscription delivery schedule engine
+ * Expands weekly, monthly and custom plans into concrete delivery times in the
+ * UAE timezone (Asia/Dubai, UTC+4 all year round - no daylight saving).
+ *
+ * - weekly: every selected weekday
+ * - monthly / custom: the selected weekdays, only in the selected weeks of the
+ *   month. Week n holds the nth occurrence of each weekday (days 7n-6..7n);
+ *   "last" is the final occurrence of the weekday in that month.
+ *
+ * Paused subscriptions have no deliveries until their resumeOn date (if any),
+ * cancelled ones have none at all, and dates in skippedDates are left out.
+ *
+ * Dates are handled as "UAE day numbers" (days since 1970-01-01 in UAE local
+ * time) so the maths never depends on the server's own timezone.
+ */
+
+const UAE_UTC_OFFSET_MS = 4 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DELIVERY_HOUR = 10; // 10:00 AM UAE time
+const MAX_SCAN_DAYS = 3 * 366; // Stop looking after ~3 years
+
+const DAY_CODES = { sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6 };
+
+// YYYY-MM-DD strings are UAE calendar dates; anything else is parsed as an instant
+function toDayNumber(value) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  }
+  return Math.floor((new Date(value).getTime() + UAE_UTC_OFFSET_MS) / DAY_MS);
+}
+
+// 1970-01-01 was a Thursday
+const weekdayOf = (dayNumber) => (((dayNumber + 4) % 7) + 7) % 7;
+
+/**
+ * The delivery time (as a Date) on a UAE day
+ */
+function deliveryTimeOn(dayNumber, hour = DEFAULT_DELIVERY_HOUR) {
+  return new Date(dayNumber * DAY_MS + hour * 60 * 60 * 1000 - UAE_UTC_OFFSET_MS);
+}
+
+/**
+ * The UAE calendar date (YYYY-MM-DD) of a Date or ISO string
+ */
+function toUAEDateString(value) {
+  return dateStringOf(toDayNumber(value));
+}
+
+const dateStringOf = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().split("T")[0];
+
+function matchesWeekOfMonth(dayNumber, weeks) {
+  const date = new Date(dayNumber * DAY_MS);
+  const dayOfMonth = date.getUTCDate();
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+  if (weeks.has(Math.ceil(dayOfMonth / 7))) {
+    return true;
+  }
+  return weeks.has("last") && dayOfMonth + 7 > daysInMonth;
+}
+
+// weeksInMonth may hold numbers, numeric strings or "last"
+function normalizeWeeks(weeksInMonth) {
+  return new Set((weeksInMonth || []).map((week) => (week === "last" ? "last" : Number(week))));
+}
+
+/**
+ * Get the subscription's delivery window as UAE day numbers [startDay, endDay)
+ * endDay is Infinity for ongoing subscriptions
+ */
+function deliveryWindow(subscription) {
+  const startDay = toDayNumber(subscription.startDate || subscription.createdAt || new Date());
+  let endDay = Infinity;
+
+  if (!subscription.ongoing) {
+    if (subscription.endDate) {
+      endDay = toDayNumber(subscription.endDate) + 1; // endDate is inclusive
+    }
+    if (subscription.numberOfWeeks) {
+      endDay = Math.min(endDay, startDay + Number(subscription.numberOfWeeks) * 7);
+    }
+  }
+
+  return { startDay, endDay };
+}
+
+/**
+ * List upcoming deliveries for a subscription
+ * Options:
+ * - from: only deliveries after this time (default now)
+ * - count: maximum number of deliveries (default 10)
+ * - until: only deliveries at or before this time
+ * Returns an array of Dates in chronological order
+ */
+function upcomingDeliveries(subscription, { from = new Date(), count = 10, until = null } = {}) {
+  const days = new Set(
+    (subscription.deliveryDays || []).map((code) => DAY_CODES[code]).filter((day) => day !== undefined)
+  );
+  if (days.size === 0 || count <= 0 || subscription.status === "cancelled") {
+    return [];
+  }
+  if (subscription.status === "paused" && !subscription.resumeOn) {
+    return [];
+  }
+
+  const planType = String(subscription.planType || "weekly").toLowerCase();
+  const weeks = normalizeWeeks(subscription.weeksInMonth);
+  const { startDay, endDay } = deliveryWindow(subscription);
+  const fromTime = new Date(from).getTime();
+  const untilTime = until ? new Date(until).getTime() : Infinity;
+
+  const skippedDates = new Set(subscription.skippedDates || []);
+  const deliveries = [];
+  let firstDay = Math.max(startDay, toDayNumber(from));
+  if (subscription.status === "paused") {
+    firstDay = Math.max(firstDay, toDayNumber(subscription.resumeOn));
+  }
+
+  for (let day = firstDay; day < endDay && day < firstDay + MAX_SCAN_DAYS; day++) {
+    if (!days.has(weekdayOf(day))) continue;
+    if (planType !== "weekly" && !matchesWeekOfMonth(day, weeks)) continue;
+    if (skippedDates.has(dateStringOf(day))) continue;
+
+    const deliveryTime = deliveryTimeOn(day);
+    if (deliveryTime.getTime() <= fromTime) continue; // Today's slot has already passed
+    if (deliveryTime.getTime() > untilTime) break;
+
+    deliveries.push(deliveryTime);
+    if (deliveries.length >= count) break;
+  }
+
+  return deliveries;
+}
+
+/**
+ * The next delivery after `from`, or null if the subscription has no more deliveries
+ */
+function nextDelivery(subscription, from = new Date()) {
+  const [next] = upcomingDeliveries(subscription, { from, count: 1 });
+  return next || null;
+}
+
+module.exports = {
+  upcomingDeliveries,
+  nextDelivery,
+  toUAEDateString,
+  DAY_CODES,
+  DEFAULT_DELIVERY_HOUR,
+};
@@ -0,0 +1,21 @@
+/**
+ * Console SMS provider (development)
+ * Prints messages to the terminal instead of sending them
+ */
+
+const crypto = require("crypto");
+
+function createConsoleProvider() {
+  return {
+    name: "console",
+    async send({ to, body }) {
+      const messageId = "console_" + crypto.randomBytes(8).toString("hex");
+      console.log(`\n📨 SMS to ${to}:`);
+      console.log(body);
+      console.log("");
+      return { messageId, status: "delivered" };
+    },
+  };
+}
+
+module.exports = { createConsoleProvider };
@@ -0,0 +1,24 @@
+/**
+ * File SMS provider (development)
+ * Appends each message as a JSON line to an outbox file, handy for automated tests
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+function createFileProvider({ filePath }) {
+  return {
+    name: "file",
+    async send({ to, body }) {
+      const messageId = "file_" + crypto.randomBytes(8).toString("hex");
+      const entry = { messageId, to, body, sentAt: new Date().toISOString() };
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + "\n", "utf8");
+      return { messageId, status: "delivered" };
+    },
+  };
+}
+
+module.exports = { createFileProvider };
@@ -0,0 +1,40 @@
+/**
+ * SMS provider factory
+ * Picks the provider from SMS_PROVIDER: "console" (default), "file" or "twilio"
+ */
+
+const path = require("path");
+const { createConsoleProvider } = require("./console");
+const { createFileProvider } = require("./file");
+const { createTwilioProvider } = require("./twilio");
+const { renderMessage } = require("./templates");
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, "..", "..", "data", "sms-outbox.log");
+
+function createSmsProvider(options = {}) {
+  const provider = options.provider || process.env.SMS_PROVIDER || "console";
+
+  if (provider === "console") {
+    return createConsoleProvider();
+  }
+
+  if (provider === "file") {
+    return createFileProvider({
+      filePath: options.filePath || process.env.SMS_OUTBOX_FILE || DEFAULT_OUTBOX_PATH,
+    });
+  }
+
+  if (provider === "twilio") {
+    return createTwilioProvider({
+      accountSid: options.accountSid || process.env.SMS_ACCOUNT_SID,
+      authToken: options.authToken || process.env.SMS_AUTH_TOKEN,
+      from: options.from || process.env.SMS_FROM,
+      baseUrl: options.baseUrl || process.env.SMS_BASE_URL,
+      statusCallbackUrl: options.statusCallbackUrl || process.env.SMS_STATUS_CALLBACK_URL,
+    });
+  }
+
+  throw new Error(`Unknown SMS provider: ${provider}`);
+}
+
+module.exports = { createSmsProvider, renderMessage };
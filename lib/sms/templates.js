@@ -0,0 +1,33 @@
+/**
+ * SMS message templates in English and Arabic
+ * Placeholders are written as {name} and filled from the values passed to renderMessage
+ */
+
+const templates = {
+  otp: {
+    en: "Your Al Ghadeer Water verification code is {otp}. It expires in {minutes} minutes. Do not share this code with anyone.",
+    ar: "رمز التحقق الخاص بك من مياه الغدير هو {otp}. صالح لمدة {minutes} دقائق. لا تشارك هذا الرمز مع أي شخص.",
+  },
+};
+
+const SUPPORTED_LANGUAGES = ["en", "ar"];
+
+const fill = (text, values) =>
+  text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+/**
+ * Render a template in one language, or both (English first) when language is "both"
+ */
+function renderMessage(templateName, values, language = "both") {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${templateName}`);
+  }
+
+  if (SUPPORTED_LANGUAGES.includes(language)) {
+    return fill(template[language], values);
+  }
+  return SUPPORTED_LANGUAGES.map((lang) => fill(template[lang], values)).join("\n\n");
+}
+
+module.exports = { templates, renderMessage, SUPPORTED_LANGUAGES };
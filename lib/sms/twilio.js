@@ -0,0 +1,74 @@
+/**
+ * Twilio-style HTTP SMS provider
+ * POSTs a form-encoded message to {baseUrl}/2010-04-01/Accounts/{accountSid}/Messages.json
+ * using basic auth. Any gateway exposing the same API can be used by changing baseUrl.
+ * With statusCallbackUrl set, the gateway reports each message's delivery there.
+ */
+
+const crypto = require("crypto");
+
+function createTwilioProvider({ accountSid, authToken, from, baseUrl = "https://api.twilio.com", statusCallbackUrl }) {
+  if (!accountSid || !authToken || !from) {
+    throw new Error("Twilio SMS provider requires SMS_ACCOUNT_SID, SMS_AUTH_TOKEN and SMS_FROM");
+  }
+
+  const url = `${baseUrl}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+  const authorization = "Basic " + Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  return {
+    name: "twilio",
+    async send({ to, body }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: authorization,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        body: new URLSearchParams({
+          To: to,
+          From: from,
+          Body: body,
+          ...(statusCallbackUrl ? { StatusCallback: statusCallbackUrl } : {}),
+        }).toString(),
+      });
+
+      const payload = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(payload.message || `SMS gateway responded with ${response.status}`);
+        error.code = payload.code || response.status;
+        throw error;
+      }
+
+      // Twilio reports "queued" or "sent" here; final delivery arrives via status callbacks
+      return { messageId: payload.sid, status: payload.status || "queued" };
+    },
+
+    /**
+     * Read a delivery status callback after checking its X-Twilio-Signature
+     * The signature is an HMAC-SHA1 (keyed with the auth token) of the callback URL
+     * followed by every parameter name and value, sorted by name.
+     * Returns { messageId, status, error }; throws if the callback isn't genuine
+     */
+    parseStatusCallback({ params, signature }) {
+      if (!statusCallbackUrl) {
+        throw new Error("SMS_STATUS_CALLBACK_URL is not configured");
+      }
+
+      const signed = statusCallbackUrl + Object.keys(params).sort().map((name) => name + params[name]).join("");
+      const expected = Buffer.from(crypto.createHmac("sha1", authToken).update(signed).digest("base64"));
+      const actual = Buffer.from(String(signature || ""));
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw new Error("Invalid SMS status callback signature");
+      }
+
+      return {
+        messageId: params.MessageSid,
+        status: params.MessageStatus,
+        error: params.ErrorCode ? `Error ${params.ErrorCode}` : null,
+      };
+    },
+  };
+}
+
+module.exports = { createTwilioProvider };
@@ -0,0 +1,96 @@
+/**
+ * Wallet top-ups
+ * Refill amount limits and top-up packages that add bonus credit (e.g. pay
+ * 500 AED, get 550 AED). Packages come from TOPUP_PACKAGES as a comma-separated
+ * list of "amount:bonus" pairs in AED.
+ */
+
+const { toFils, toAED } = require("./pricing");
+
+const REFILL_MIN_AMOUNT = parseFloat(process.env.REFILL_MIN_AMOUNT || "10");
+const REFILL_MAX_AMOUNT = parseFloat(process.env.REFILL_MAX_AMOUNT || "10000");
+const DEFAULT_TOPUP_PACKAGES = "100:0,250:15,500:50,1000:150";
+
+/**
+ * Thrown for refills that can't be offered (unknown package, amount out of range, ...)
+ */
+class TopupError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "TopupError";
+    this.details = details;
+  }
+}
+
+/**
+ * Parse "amount:bonus" pairs into packages
+ */
+function parsePackages(spec) {
+  return spec
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [amount, bonus = "0"] = pair.split(":").map((value) => parseFloat(value));
+      if (!(amount > 0) || !(bonus >= 0)) {
+        throw new Error(`Invalid top-up package "${pair}" (expected amount:bonus)`);
+      }
+      return {
+        id: `topup-${amount}`,
+        amount,
+        bonus,
+        credit: toAED(toFils(amount) + toFils(bonus)),
+        currency: "AED",
+        label: bonus > 0 ? `Pay ${amount} AED, get ${toAED(toFils(amount) + toFils(bonus))} AED` : `${amount} AED`,
+      };
+    });
+}
+
+function createTopups({
+  packages = parsePackages(process.env.TOPUP_PACKAGES || DEFAULT_TOPUP_PACKAGES),
+  minAmount = REFILL_MIN_AMOUNT,
+  maxAmount = REFILL_MAX_AMOUNT,
+} = {}) {
+  const withinLimits = (value) => Number.isFinite(value) && value >= minAmount && value <= maxAmount;
+
+  const outOfLimits = () =>
+    new TopupError(`Refill amount must be between ${minAmount} and ${maxAmount} AED`, { minAmount, maxAmount });
+
+  /**
+   * Work out what a refill pays and credits
+   * Pass a packageId, or a custom amount (which earns no bonus). Packages are
+   * held to the same refill limits as custom amounts.
+   * Returns { amount, bonus, packageId } in AED.
+   */
+  function resolveRefill({ amount, packageId }) {
+    if (packageId) {
+      const topup = packages.find((p) => p.id === packageId);
+      if (!topup) {
+        throw new TopupError(`Unknown top-up package: ${packageId}`, { packageId });
+      }
+      if (!withinLimits(topup.amount)) {
+        throw outOfLimits();
+      }
+      return { amount: topup.amount, bonus: topup.bonus, packageId: topup.id };
+    }
+
+    const value = Number(amount);
+    if (!withinLimits(value)) {
+      throw outOfLimits();
+    }
+    if (toAED(toFils(value)) !== value) {
+      throw new TopupError("Refill amount can't have more than 2 decimal places");
+    }
+
+    return { amount: value, bonus: 0, packageId: null };
+  }
+
+  return {
+    packages: () => packages.filter((p) => withinLimits(p.amount)),
+    resolveRefill,
+    minAmount,
+    maxAmount,
+  };
+}
+
+module.exports = { createTopups, parsePackages, TopupError, REFILL_MIN_AMOUNT, REFILL_MAX_AMOUNT };
@@ -0,0 +1,261 @@
+/**
+ * Wallet transaction history and monthly statements
+ * Turns ledger entries (plus failed refill attempts) into history rows with a
+ * running balance, pages and filters them, and renders monthly statements as
+ * CSV or PDF. Dates are UAE calendar dates.
+ */
+
+const { toFils, toAED } = require("./pricing");
+const { toUAEDateString } = require("./schedule");
+const { renderTextPdf, canRender } = require("./pdf");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const TRANSACTION_TYPES = ["refill", "purchase", "refund", "adjustment", "bonus"];
+
+/**
+ * Thrown for history or statement queries that can't be answered (bad cursor, date, ...)
+ */
+class HistoryQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "HistoryQueryError";
+  }
+}
+
+function describe(entry) {
+  if (entry.description) return entry.description;
+  const { orderId } = entry.reference || {};
+  switch (entry.type) {
+    case "refill":
+      return "Wallet refill";
+    case "purchase":
+      return orderId ? `Order ${orderId}` : "Purchase";
+    case "refund":
+      return orderId ? `Refund for ${orderId}` : "Refund";
+    case "bonus":
+      return "Bonus credit";
+    default:
+      return "Adjustment";
+  }
+}
+
+// Newest first; ties broken by ID so the order (and cursors) are stable
+const compareNewestFirst = (a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id);
+
+/**
+ * Build history rows, oldest first, each with the wallet balance after it
+ * Failed refill attempts are included but don't move the balance.
+ */
+function historyRows(entries, failedRefills = []) {
+  const rows = [
+    ...entries.map((entry) => ({
+      id: entry.id,
+      type: entry.type,
+      amount: toAED(entry.amountFils),
+      currency: entry.currency,
+      orderId: (entry.reference || {}).orderId || null,
+      paymentIntentId: (entry.reference || {}).paymentIntentId || null,
+      subscriptionId: (entry.reference || {}).subscriptionId || null,
+      description: describe(entry),
+      timestamp: entry.createdAt,
+      status: "completed",
+    })),
+    ...failedRefills.map((attempt) => ({
+      ...attempt,
+      description: attempt.failureReason ? `Refill ${attempt.status}: ${attempt.failureReason}` : `Refill ${attempt.status}`,
+    })),
+  ].sort((a, b) => -compareNewestFirst(a, b));
+
+  let balanceFils = 0;
+  for (const row of rows) {
+    if (row.status === "completed") {
+      balanceFils += toFils(row.amount);
+    }
+    row.balance = toAED(balanceFils);
+  }
+  return rows;
+}
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.timestamp, row.id])).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [timestamp, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof timestamp === "string" && typeof id === "string") {
+      return { timestamp, id };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new HistoryQueryError("Invalid cursor");
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime())) {
+    throw new HistoryQueryError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return value;
+}
+
+/**
+ * Parse history query parameters: { limit, cursor, type, from, to }
+ * type is a comma-separated list; from/to are inclusive UAE dates
+ */
+function parseHistoryQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new HistoryQueryError(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const types = query.type ? String(query.type).split(",") : null;
+  if (types && !types.every((type) => TRANSACTION_TYPES.includes(type))) {
+    throw new HistoryQueryError(`type must be one of ${TRANSACTION_TYPES.join(", ")}`);
+  }
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    types,
+    from: parseDate(query.from, "from"),
+    to: parseDate(query.to, "to"),
+  };
+}
+
+/**
+ * One page of history rows, newest first
+ * Returns { transactions, nextCursor } (nextCursor is null on the last page)
+ */
+function queryHistory(rows, { limit = DEFAULT_PAGE_SIZE, cursor = null, types = null, from = null, to = null } = {}) {
+  const matching = rows
+    .filter((row) => {
+      const date = toUAEDateString(row.timestamp);
+      return (
+        (!types || types.includes(row.type)) &&
+        (!from || date >= from) &&
+        (!to || date <= to) &&
+        (!cursor || compareNewestFirst(row, cursor) > 0)
+      );
+    })
+    .sort(compareNewestFirst);
+
+  const transactions = matching.slice(0, limit);
+  const hasMore = matching.length > limit;
+
+  return {
+    transactions,
+    nextCursor: hasMore ? encodeCursor(transactions[transactions.length - 1]) : null,
+  };
+}
+
+/**
+ * Monthly statement for month "YYYY-MM" (UAE time) from history rows
+ */
+function buildStatement(rows, month, { userId, currency = "AED" }) {
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month || "")) {
+    throw new HistoryQueryError("month must be YYYY-MM");
+  }
+
+  const before = rows.filter((row) => toUAEDateString(row.timestamp) < month);
+  const inMonth = rows.filter((row) => toUAEDateString(row.timestamp).startsWith(month));
+  const completed = inMonth.filter((row) => row.status === "completed");
+  const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0;
+
+  const sumFils = (list) => list.reduce((sum, row) => sum + toFils(row.amount), 0);
+
+  return {
+    userId,
+    month,
+    currency,
+    openingBalance,
+    closingBalance: inMonth.length > 0 ? inMonth[inMonth.length - 1].balance : openingBalance,
+    totalCredits: toAED(sumFils(completed.filter((row) => row.amount > 0))),
+    totalDebits: toAED(sumFils(completed.filter((row) => row.amount < 0))),
+    transactions: inMonth,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+const formatAmount = (aed) => aed.toFixed(2);
+
+// Quote CSV fields that need it
+const csvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Statement as CSV, with opening and closing balance rows
+ */
+function statementToCSV(statement) {
+  const lines = [
+    ["Date", "Transaction ID", "Type", "Description", "Status", `Amount (${statement.currency})`, `Balance (${statement.currency})`],
+    [`${statement.month}-01`, "", "", "Opening balance", "", "", formatAmount(statement.openingBalance)],
+    ...statement.transactions.map((row) => [
+      toUAEDateString(row.timestamp),
+      row.id,
+      row.type,
+      row.description,
+      row.status,
+      formatAmount(row.amount),
+      formatAmount(row.balance),
+    ]),
+    ["", "", "", "Closing balance", "", "", formatAmount(statement.closingBalance)],
+  ];
+
+  return lines.map((line) => line.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Statement as a PDF Buffer
+ * The PDF font only has Latin letters, so a name in another script (e.g. Arabic)
+ * is replaced by the user ID and a description by the English default for its type.
+ */
+function statementToPDF(statement, { customerName } = {}) {
+  const column = (text, width) => String(text).slice(0, width).padEnd(width);
+  const money = (aed) => formatAmount(aed).padStart(11);
+  const customer = customerName && canRender(customerName) ? customerName : statement.userId;
+  const description = (row) =>
+    canRender(row.description) ? row.description : describe({ type: row.type, reference: { orderId: row.orderId } });
+
+  const lines = [
+    "Al Ghadeer Water - Wallet Statement",
+    "",
+    `Customer:  ${customer}`,
+    `Period:    ${statement.month} (UAE time)`,
+    `Currency:  ${statement.currency}`,
+    `Generated: ${statement.generatedAt}`,
+    "",
+    `Opening balance ${money(statement.openingBalance)}`,
+    `Credits         ${money(statement.totalCredits)}`,
+    `Debits          ${money(statement.totalDebits)}`,
+    `Closing balance ${money(statement.closingBalance)}`,
+    "",
+    `${column("Date", 11)}${column("Type", 11)}${column("Description", 40)}${"Amount".padStart(11)}${"Balance".padStart(11)}`,
+    "-".repeat(84),
+    ...statement.transactions.map(
+      (row) =>
+        `${column(toUAEDateString(row.timestamp), 11)}${column(row.type, 11)}` +
+        `${column(row.status === "completed" ? description(row) : `[${row.status}] ${description(row)}`, 40)}` +
+        `${money(row.amount)}${money(row.balance)}`
+    ),
+  ];
+
+  if (statement.transactions.length === 0) {
+    lines.push("No transactions this month.");
+  }
+
+  return renderTextPdf(lines);
+}
+
+module.exports = {
+  historyRows,
+  parseHistoryQuery,
+  queryHistory,
+  buildStatement,
+  statementToCSV,
+  statementToPDF,
+  HistoryQueryError,
+  TRANSACTION_TYPES,
+};
@@ -0,0 +1,20 @@
+/**
+ * Bring the configured store up to the latest schema version
+ * Usage: npm run migrate
+ * (The server also migrates on startup; this is for running it ahead of a deploy.)
+ */
+
+require("dotenv").config();
+const { createStorage } = require("../storage");
+
+const run = async () => {
+  const store = createStorage();
+  await store.init();
+  await store.close();
+  console.log(`✅ Storage is at schema version ${store.schemaVersion}`);
+};
+
+run().catch((error) => {
+  console.error("Migration failed:", error);
+  process.exit(1);
+});
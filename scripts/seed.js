@@ -0,0 +1,21 @@
+/**
+ * Seed the configured store with sample users
+ * Usage: npm run seed
+ */
+
+require("dotenv").config();
+const { createStorage } = require("../storage");
+const { seed } = require("../storage/seed");
+
+const run = async () => {
+  const store = createStorage();
+  await store.init();
+  const added = await seed(store);
+  await store.close();
+  console.log(`🌱 Seeded ${added} sample user(s)`);
+};
+
+run().catch((error) => {
+  console.error("Seeding failed:", error);
+  process.exit(1);
+});
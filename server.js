@@ -8,6 +8,58 @@ const express = require("express");
 const cors = require("cors");
 const bodyParser = require("body-parser");
 const os = require("os");
+const crypto = require("crypto");
+const { createStorage } = require("./storage");
+const { createAuth, requireAdmin } = require("./lib/auth");
+const { createOtpService, OTP_TTL_MS, RESEND_COOLDOWN_MS } = require("./lib/otp");
+const { createSmsProvider, renderMessage } = require("./lib/sms");
+const { createLocks } = require("./lib/locks");
+const { createIdempotency } = require("./lib/idempotency");
+const {
+  createPricing,
+  contractPrice,
+  PricingError,
+  summarize,
+  totalsMatch,
+  pricingSummary,
+  toFils,
+  toAED,
+  VAT_RATE,
+} = require("./lib/pricing");
+const schedule = require("./lib/schedule");
+const { createBilling, BillingError, deliveryOrderId } = require("./lib/billing");
+const { createLedger, availableFils, InsufficientFundsError, ACCOUNTS } = require("./lib/ledger");
+const { createTopups, TopupError } = require("./lib/topups");
+const { createCatalog, publicProduct, physicalItems, CatalogError, OutOfStockError } = require("./lib/catalog");
+const { createPriceLists, PriceListError } = require("./lib/priceLists");
+const { parseSearchQuery, searchProducts, SearchQueryError } = require("./lib/productSearch");
+const { localizeResponses, localize, formatFrequency } = require("./lib/i18n");
+const {
+  parseCheckout,
+  resolveDeliverySlot,
+  availableDeliverySlots,
+  buildOrder,
+  CheckoutError,
+} = require("./lib/checkout");
+const {
+  historyRows,
+  parseHistoryQuery,
+  queryHistory,
+  buildStatement,
+  statementToCSV,
+  statementToPDF,
+  HistoryQueryError,
+} = require("./lib/walletHistory");
+const {
+  ORDER_STATUSES,
+  ACTIVE_STATUSES,
+  DELIVERED_STATUSES,
+  OrderTransitionError,
+  canTransition,
+  historyEntry,
+  transitionOrder,
+  getStatusHistory,
+} = require("./lib/orderStatus");
 
 // Validate Stripe key
 const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
@@ -25,6 +77,16 @@ const path = require("path");
 
 // Middleware
 app.use(cors());
+
+// Responses follow Accept-Language (English or Arabic); sets req.language
+app.use(localizeResponses);
+
+// Stripe webhooks need the raw request body for signature verification, so
+// their router gets its own body parser and is mounted before the JSON one
+const webhooks = express.Router();
+webhooks.use(express.raw({ type: "application/json" }));
+app.use("/api/webhooks", webhooks);
+
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -32,52 +94,61 @@ app.use(bodyParser.urlencoded({ extended: true }));
 // Images can be accessed via: http://localhost:3000/images/filename.jpg
 app.use("/images", express.static(path.join(__dirname, "public", "images")));
 
-// In-memory wallet storage (in production, use a database)
-const wallets = new Map();
-
-// In-memory order storage (in production, use a database)
-const orders = new Map();
-
-// In-memory user storage (in production, use a database)
-const users = new Map();
-
-// In-memory temporary tokens and OTPs (in production, use Redis or similar)
-const temporaryTokens = new Map(); // temporary_token -> { phone, name, otp, expiresAt, isSignUp }
-const otpStore = new Map(); // phone -> { otp, expiresAt }
-
-// Sample users for testing
-const initializeSampleUsers = () => {
-  users.set("user-001", {
-    userId: "user-001",
-    name: "Ahmed Ali",
-    phone: "+971501234567",
-  });
-  users.set("user-002", {
-    userId: "user-002",
-    name: "Fatima Hassan",
-    phone: "+971509876543",
-  });
-  users.set("user-003", {
-    userId: "user-003",
-    name: "Mohammed Ibrahim",
-    phone: "+971507654321",
-  });
-};
-initializeSampleUsers();
-
-// Generate OTP (6 digits)
-function generateOTP() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+// Persistent storage (file-backed by default, see storage/index.js)
+const store = createStorage();
+const wallets = store.collection("wallets");
+const orders = store.collection("orders");
+const users = store.collection("users");
+const subscriptions = store.collection("subscriptions");
+const temporaryTokens = store.collection("temporaryTokens"); // temporary_token -> { phone, name, expiresAt, isSignUp, userId?, language }
+const otpStore = store.collection("otpStore"); // phone -> { phone, otpHash, expiresAt, attempts, lastSentAt, resendCount, lockedUntil, delivery }
+const sessions = store.collection("sessions"); // sha256(token) -> { sessionId, userId, expiresAt, ... }
+const processedPayments = store.collection("processedPayments"); // paymentIntentId -> { type, userId, orderId?, transactionId?, source }
+const idempotencyKeys = store.collection("idempotencyKeys"); // hash(user, route, key) -> stored response
+const ledgerEntries = store.collection("ledgerEntries"); // entryId -> immutable wallet ledger entry
+const categories = store.collection("categories"); // categoryId -> { name, sortOrder, status }
+const products = store.collection("products"); // productId -> catalog product with stock level
+const priceLists = store.collection("priceLists"); // priceListId -> { name, prices, customerIds, siteIds }
+const customerSites = store.collection("customerSites"); // siteId -> { name, address, customerIds }
+const stockReservations = store.collection("stockReservations"); // orderId -> stock held for an unpaid split payment
+
+// Serializes changes to the same wallet, so a balance check and its debit are atomic
+const walletLocks = createLocks();
+
+// Double-entry wallet ledger; balances are derived from immutable entries
+const ledger = createLedger({ ledgerEntries, wallets, locks: walletLocks });
+
+// Serializes work on the same payment intent (confirm vs. webhook races)
+const paymentLocks = createLocks();
+
+// Serializes changes to the same order (e.g. double-tapped cancel)
+const orderLocks = createLocks();
+
+// Replays stored responses for retried requests carrying an Idempotency-Key header
+const { idempotent } = createIdempotency({ idempotencyKeys });
+
+// Bearer token authentication for user-scoped routes
+const { requireAuth, optionalAuth, requireSelf, ...auth } = createAuth({ sessions, users });
+
+// OTP verification (OTP_DEV_MODE=true accepts any 6-digit code for demos)
+const OTP_DEV_MODE = process.env.OTP_DEV_MODE === "true";
+const otp = createOtpService({ otpStore, devMode: OTP_DEV_MODE });
+if (OTP_DEV_MODE) {
+  console.warn("⚠️  OTP_DEV_MODE is enabled: any 6-digit OTP will be accepted");
 }
 
+// SMS delivery for OTPs (SMS_PROVIDER=console|file|twilio)
+const sms = createSmsProvider();
+const SMS_DEFAULT_LANGUAGE = process.env.SMS_DEFAULT_LANGUAGE || "both";
+
 // Generate temporary token
 function generateTemporaryToken() {
-  return "temp_" + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  return "temp_" + crypto.randomBytes(16).toString("hex");
 }
 
-// Generate permanent token
+// Generate permanent token (this is the bearer credential, so it must be unguessable)
 function generatePermanentToken() {
-  return "perm_" + Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15) + Date.now().toString(36);
+  return "perm_" + crypto.randomBytes(32).toString("hex");
 }
 
 // Generate user ID
@@ -85,13 +156,23 @@ function generateUserId() {
   return "user-" + Date.now().toString(36) + Math.random().toString(36).substring(2, 8);
 }
 
+// Generate order ID (the random suffix keeps orders placed in the same millisecond apart)
+function generateOrderId() {
+  return `ORD-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+// Generate subscription ID (random suffix as for orders; deliveries append -YYYYMMDD)
+function generateSubscriptionId() {
+  return `SUB-${Date.now()}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
 /**
  * Generate sample orders for a user
  * This creates sample orders when a user first accesses orders
  */
-function generateSampleOrdersForUser(userId) {
+async function generateSampleOrdersForUser(userId) {
   // Check if user already has orders
-  const existingOrders = Array.from(orders.values()).filter(
+  const existingOrders = await orders.filter(
     (order) => order.userId === userId
   );
   
@@ -156,24 +237,30 @@ function generateSampleOrdersForUser(userId) {
   ];
 
   // Add sample orders to storage
-  sampleOrders.forEach((order) => {
-    orders.set(order.orderId, order);
-  });
+  for (const order of sampleOrders) {
+    await orders.set(order.orderId, order);
+  }
 }
 
 /**
- * Initialize wallet for a user
+ * Wallet as returned by the API: balance in AED from the ledger's cached fils
+ * available is the balance less anything held for split payments in progress
  */
-function getOrCreateWallet(userId) {
-  if (!wallets.has(userId)) {
-    wallets.set(userId, {
-      userId,
-      balance: 0,
-      currency: "AED",
-      transactions: [],
-    });
-  }
-  return wallets.get(userId);
+async function getWalletSummary(userId) {
+  const wallet = await ledger.getWallet(userId);
+  return {
+    balance: toAED(wallet.balanceFils),
+    available: toAED(availableFils(wallet)),
+    currency: wallet.currency,
+  };
+}
+
+/**
+ * A user's wallet history rows (oldest first, with running balances)
+ */
+async function getWalletHistory(userId) {
+  const wallet = await ledger.getWallet(userId);
+  return historyRows(await ledger.entriesFor(userId), wallet.failedRefills || []);
 }
 
 /**
@@ -183,140 +270,104 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok", message: "Server is running" });
 });
 
+// Product catalog with stock levels, managed through the /api/admin catalog routes
+const catalog = createCatalog({ categories, products });
+
+// Contract price lists for customers and customer sites (compounds, offices)
+const customerPricing = createPriceLists({
+  priceLists,
+  customerSites,
+  productExists: (productId) => products.has(productId),
+  userExists: (userId) => users.has(userId),
+});
+
+// Server-side cart pricing (client prices and totals are never trusted)
+const pricing = createPricing({ findProduct: catalog.findProduct, resolvePrices: customerPricing.resolvePrices });
+
+// Refill limits and bonus top-up packages (REFILL_MIN_AMOUNT, REFILL_MAX_AMOUNT, TOPUP_PACKAGES)
+const topups = createTopups();
+
 /**
- * Dummy products data
+ * Price a cart for an order route
+ * context ({ customerId, siteId }) selects the customer's contract prices.
+ * Responds with 400 if the cart can't be priced, 403/404 for a site the customer
+ * can't order at, or 409 (with the current quote) if the client's total doesn't
+ * match. Resolves with the quote, or null if a response has already been sent.
  */
-const dummyProducts = {
-  "Drinking waters": [
-    {
-      id: "200ml-cup",
-      name: "200ml Cup",
-      price: 7.35,
-      image_url: "https://www.alghadeerwater.com/lovable-uploads/e97e8c8a-a180-42e5-b588-5013648484bb.png",
-      description: "Premium quality drinking water in a convenient 200ml cup. Perfect for on-the-go hydration with BPA-free materials.",
-      category: "Drinking Water"
-    },
-    {
-      id: "200ml-bottle-30",
-      name: "200ml Bottle",
-      price: 10.5,
-      image_url: "https://images.unsplash.com/photo-1698664434322-94a43b98b9ba?q=80&w=765&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-      description: "Compact 200ml bottle ideal for daily hydration. Made with eco-friendly materials.",
-      category: "Drinking Water"
-    },
-    {
-      id: "330ml-bottle-12",
-      name: "330ml Bottle",
-      price: 5.25,
-      image_url: "https://www.alghadeerwater.com/lovable-uploads/46c6c613-4f2b-4bc0-8e8e-b20545592e93.png",
-      description: "Standard 330ml bottle of premium purified water. Great value for everyday use.",
-      category: "Drinking Water"
-    },
-    {
-      id: "500ml-bottle-12",
-      name: "500ml Bottle",
-      price: 5.25,
-      image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRYjjcwgr-oWl6b3iTio1sYOj-Y-iB5RHfOzQ&s",
-      description: "500ml bottle of pure drinking water. Perfect size for work or travel.",
-      category: "Drinking Water"
-    },
-    {
-      id: "w19",
-      name: "Bottled Water 19L",
-      price: 12.0,
-      image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRB8Ozlj1C0ndAc2SmXnKckp99URIGms7nvHw&s",
-      description: "Large 19-liter bottle for home or office use. Premium quality water delivered fresh.",
-      category: "Drinking Water"
-    },
-    {
-      id: "w05",
-      name: "Bottled Water 5L",
-      price: 6.0,
-      image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRHNxKaqhMnBJGK8ccZvgv65-SMZUQn84vpNg&s",
-      description: "Convenient 5-liter bottle. Ideal for small families or single households.",
-      category: "Drinking Water"
-    }
-  ],
-  "Accessories": [
-    {
-      id: "cooler",
-      name: "Water Cooler",
-      price: 350,
-      image_url: "https://www.alghadeerwater.com/lovable-uploads/33ae9524-aa29-4945-a1a0-90d4e13adccd.png",
-      description: "Premium water cooler with hot and cold water dispensing. Modern design with energy-efficient operation.",
-      category: "Accessories"
-    },
-    {
-      id: "kitchen-dispenser",
-      name: "Kitchen Dispenser",
-      price: 40,
-      image_url: "https://images.unsplash.com/photo-1544198841-10f34f31f8dd?q=80&w=687&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
-      description: "Compact kitchen water dispenser. Easy to install and perfect for any kitchen space.",
-      category: "Accessories"
-    },
-    {
-      id: "manual-pump",
-      name: "Manual Pump",
-      price: 25,
-      image_url: "https://plus.unsplash.com/premium_photo-1667516700355-4e153de39581?w=600&auto=format&fit=crop&q=60&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1yZWxhdGVkfDEyfHx8ZW58MHx8fHx8",
-      description: "Durable manual water pump. No electricity required, perfect for any location.",
-      category: "Accessories"
-    },
-    {
-      id: "disp",
-      name: "Water Dispenser Rental",
-      price: 30.0,
-      image_url: "https://images.unsplash.com/photo-1593784991095-a205069470b6?w=300&h=300&fit=crop",
-      description: "Monthly rental for premium water dispenser. Includes maintenance and service.",
-      category: "Accessories"
-    }
-  ],
-  "Special offers": [
-    {
-      id: "family-pack",
-      name: "Family Pack",
-      price: 420,
-      originalPrice: 495,
-      image_url: "https://www.alghadeerwater.com/lovable-uploads/d2973658-4577-4d76-834d-0259988c1eaf.png",
-      description: "Cooler + 5 full bottles + coupon book + free 200ml carton. Best value for families. Everything you need to start your water delivery service.",
-      category: "Special Offers",
-      badge: "Best Value"
-    },
-    {
-      id: "standard-pack",
-      name: "Standard Pack",
-      price: 380,
-      originalPrice: 425,
-      image_url: "https://www.alghadeerwater.com/assets/build-your-own-bundle-Cq1_iSCi.png",
-      description: "Cooler + 3 full bottles + coupon book + free 200ml carton. Most popular starter package for new customers.",
-      category: "Special Offers",
-      badge: "Most Popular"
-    },
-    {
-      id: "starter-pack",
-      name: "Starter Pack",
-      price: 125,
-      originalPrice: 140,
-      image_url: "https://www.alghadeerwater.com/lovable-uploads/36bdc5fe-0ba9-4c4d-a9f5-946184d4a039.png",
-      description: "Manual pump + 3 full bottles + coupon book + free 200ml carton. Perfect for trying our service.",
-      category: "Special Offers",
-      badge: "Starter Pack"
-    }
-  ]
-};
+async function quoteOrderOrRespond(res, orderItems, clientTotal, context = {}) {
+  let quote;
+  try {
+    quote = await pricing.quote(orderItems, context);
+  } catch (error) {
+    if (error instanceof PricingError) {
+      res.status(400).json({
+        success: false,
+        message: error.message,
+        data: error.details,
+      });
+      return null;
+    }
+    if (error instanceof PriceListError) {
+      res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+      return null;
+    }
+    throw error;
+  }
+
+  if (clientTotal !== undefined && clientTotal !== null && !totalsMatch(clientTotal, quote.total)) {
+    res.status(409).json({
+      success: false,
+      message: "Order total does not match current prices",
+      data: { quote },
+    });
+    return null;
+  }
+
+  return quote;
+}
+
+/**
+ * Get a price breakdown for a cart (checkout screen)
+ * POST /api/cart/quote
+ * Body: { orderItems: [{ id, quantity }], customerSiteId? }
+ * Signed-in customers get their contract prices
+ */
+app.post("/api/cart/quote", optionalAuth, async (req, res) => {
+  try {
+    const quote = await quoteOrderOrRespond(res, req.body.orderItems, null, {
+      customerId: req.user ? req.user.userId : null,
+      siteId: req.body.customerSiteId || null,
+    });
+    if (!quote) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      data: quote,
+    });
+  } catch (error) {
+    console.error("Error quoting cart:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to quote cart",
+      error: error.message,
+    });
+  }
+});
 
 /**
- * Get subscription products (drinking water products for subscription)
+ * Get subscription products (catalog products flagged subscribable)
  * GET /api/subscription-products
  */
-app.get("/api/subscription-products", (req, res) => {
+app.get("/api/subscription-products", async (req, res) => {
   try {
-    // Return only drinking water products suitable for subscription (2 products: 19L and 5L)
-    const subscriptionProducts = dummyProducts["Drinking waters"]
-      .filter((product) => {
-        // Filter for larger bottle sizes suitable for subscription (19L, 5L)
-        return product.id === "w19" || product.id === "w05";
-      })
+    const subscriptionProducts = (await catalog.listProducts())
+      .filter((product) => product.subscribable)
+      .map((product) => localize(product, req.language))
       .map((product) => ({
         id: product.id,
         name: product.name,
@@ -343,659 +394,2917 @@ app.get("/api/subscription-products", (req, res) => {
 });
 
 /**
- * Get products by category
- * GET /products/?customer_id=&customer_site_id=
+ * Get wallet top-up packages (for the wallet screen)
+ * GET /api/topup-packages
  */
-app.get("/api/products", (req, res) => {
+app.get("/api/topup-packages", (req, res) => {
   try {
-    const { customer_id, customer_site_id } = req.query;
-    
-    // Validate query parameters (can be optional or required based on business logic)
-    // For now, we'll log them but still return products
-    
     res.json({
       success: true,
       data: {
-        "drinking_waters": dummyProducts["Drinking waters"],
-        "accessories": dummyProducts["Accessories"],
-        "special_offers": dummyProducts["Special offers"]
+        packages: topups.packages(),
+        minAmount: topups.minAmount,
+        maxAmount: topups.maxAmount,
+        currency: "AED",
       },
-      meta: {
-        customer_id: customer_id || null,
-        customer_site_id: customer_site_id || null,
-        total_products: 
-          dummyProducts["Drinking waters"].length +
-          dummyProducts["Accessories"].length +
-          dummyProducts["Special offers"].length
-      }
     });
   } catch (error) {
-    console.error("Error fetching products:", error);
+    console.error("Error fetching top-up packages:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch products",
+      message: "Failed to fetch top-up packages",
       error: error.message,
     });
   }
 });
 
 /**
- * Get wallet balance
- * GET /api/wallet/:userId
+ * Contract prices for the caller of a product listing
+ * Reads customer_id (which must be the signed-in customer) and customer_site_id
+ * from the query string. Responds with 401/403/404 and resolves with null if
+ * they can't be used; otherwise resolves with { priceListIds, prices }.
  */
-app.get("/api/wallet/:userId", (req, res) => {
+async function callerPricesOrRespond(req, res) {
+  const { customer_id, customer_site_id } = req.query;
+  const customerId = req.user ? req.user.userId : null;
+
+  if (customer_id && customer_id !== customerId) {
+    res.status(customerId ? 403 : 401).json({
+      success: false,
+      message: customerId ? "You do not have access to this customer's prices" : "Authentication required",
+    });
+    return null;
+  }
+
   try {
-    const { userId } = req.params;
-    const wallet = getOrCreateWallet(userId);
+    return await customerPricing.resolvePrices({ customerId, siteId: customer_site_id || null });
+  } catch (error) {
+    if (error instanceof PriceListError) {
+      res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get products by category
+ * GET /products/?customer_id=&customer_site_id=
+ * Products are grouped under their category ID (drinking_waters, accessories, ...)
+ * Signed-in customers see their contract prices (customer_id, if sent, must be
+ * the signed-in customer; customer_site_id one of their sites). Names and
+ * descriptions are in the Accept-Language language.
+ */
+app.get("/api/products", optionalAuth, async (req, res) => {
+  try {
+    const { customer_site_id } = req.query;
+    const contract = await callerPricesOrRespond(req, res);
+    if (!contract) {
+      return;
+    }
+
+    const [activeCategories, activeProducts] = await Promise.all([catalog.listCategories(), catalog.listProducts()]);
+    const grouped = {};
+    for (const category of activeCategories) {
+      grouped[category.id] = activeProducts
+        .filter((product) => product.categoryId === category.id)
+        .map((product) => ({
+          ...localize(publicProduct(product), req.language),
+          price: contractPrice(product, contract.prices),
+        }));
+    }
+
     res.json({
       success: true,
-      data: {
-        balance: wallet.balance,
-        currency: wallet.currency,
-      },
+      data: grouped,
+      meta: {
+        customer_id: req.user ? req.user.userId : null,
+        customer_site_id: customer_site_id || null,
+        price_lists: contract.priceListIds,
+        categories: activeCategories
+          .map((category) => localize(category, req.language))
+          .map(({ id, name }) => ({ id, name })),
+        total_products: activeProducts.length
+      }
     });
   } catch (error) {
+    console.error("Error fetching products:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch wallet balance",
+      message: "Failed to fetch products",
       error: error.message,
     });
   }
 });
 
 /**
- * Create Stripe Payment Intent
- * POST /api/payments/create-intent
- * Supports both wallet refills and order payments
+ * Search, filter and sort products
+ * GET /api/products/search?q=&category=&badge=&minPrice=&maxPrice=&inStock=&sort=&page=&limit=
+ * q matches product names and descriptions in English and Arabic. category and
+ * badge take comma-separated lists; prices (and price filters) are the caller's
+ * contract prices, as for GET /api/products.
  */
-app.post("/api/payments/create-intent", async (req, res) => {
+app.get("/api/products/search", optionalAuth, async (req, res) => {
   try {
-    const { amount, currency = "AED", userId, orderItems, shippingDetails, orderType } = req.body;
-
-    if (!amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid amount",
-      });
-    }
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
+    let query;
+    try {
+      query = parseSearchQuery(req.query);
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
     }
 
-    // Convert AED to cents (Stripe uses smallest currency unit)
-    // AED doesn't have cents, so we multiply by 100 for consistency
-    const amountInCents = Math.round(amount * 100);
-
-    // Build metadata (only for reference, not used for logic)
-    const metadata = {
-      userId,
-      orderType: orderType || (orderItems ? "purchase" : "refill"),
-    };
-
-    if (orderType === "purchase" || orderItems) {
-      // Order payment - store details in metadata for reference
-      metadata.orderAmount = amount.toString();
-      if (orderItems) {
-        metadata.orderItems = JSON.stringify(orderItems);
-      }
-      if (shippingDetails) {
-        metadata.shippingDetails = JSON.stringify(shippingDetails);
-      }
-    } else {
-      // Wallet refill
-      metadata.refillAmount = amount.toString();
+    const contract = await callerPricesOrRespond(req, res);
+    if (!contract) {
+      return;
     }
 
-    // Create Payment Intent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: currency.toLowerCase(),
-      metadata,
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+    const priced = (await catalog.listProducts()).map((product) => ({
+      ...product,
+      price: contractPrice(product, contract.prices),
+    }));
+    const result = searchProducts(priced, query);
 
     res.json({
       success: true,
       data: {
-        clientSecret: paymentIntent.client_secret,
-        paymentIntentId: paymentIntent.id,
+        ...result,
+        products: result.products.map((product) => localize(publicProduct(product), req.language)),
       },
     });
   } catch (error) {
-    console.error("Error creating payment intent:", error);
-    
-    // Provide more helpful error messages
-    let errorMessage = "Failed to create payment intent";
-    let errorDetails = error.message;
-    
-    if (error.type === "StripeConnectionError" || error.code === "ECONNRESET") {
-      errorMessage = "Cannot connect to Stripe. Please check your Stripe API key.";
-      errorDetails = "Connection error: " + (error.message || "Network error");
-      
-      if (!STRIPE_SECRET_KEY || STRIPE_SECRET_KEY === "sk_test_placeholder") {
-        errorMessage = "Stripe API key is not configured. Please set STRIPE_SECRET_KEY in your .env file.";
-        errorDetails = "Get your keys from: https://dashboard.stripe.com/apikeys";
-      }
-    } else if (error.type === "StripeAuthenticationError") {
-      errorMessage = "Invalid Stripe API key. Please check your STRIPE_SECRET_KEY.";
-      errorDetails = "Authentication failed: " + (error.message || "Invalid credentials");
-    } else if (error.type === "StripeInvalidRequestError") {
-      errorMessage = "Invalid payment request";
-      errorDetails = error.message || "Please check your payment details";
-    }
-    
+    console.error("Error searching products:", error);
     res.status(500).json({
       success: false,
-      message: errorMessage,
-      error: errorDetails,
-      errorType: error.type || "UnknownError",
+      message: "Failed to search products",
+      error: error.message,
     });
   }
 });
 
 /**
- * Confirm payment and update wallet or create order
- * POST /api/payments/confirm
- * Handles both wallet refills and order payments
+ * Respond to a failed catalog or price list admin request
+ * CatalogErrors and PriceListErrors carry their own status (400, 404 or 409);
+ * anything else is a 500
  */
-app.post("/api/payments/confirm", async (req, res) => {
-  try {
-    const { paymentIntentId, userId, orderItems, shippingDetails, orderType } = req.body;
+function respondCatalogError(res, error, message) {
+  if (error instanceof CatalogError || error instanceof PriceListError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
 
-    if (!paymentIntentId || !userId) {
-      return res.status(400).json({
-        success: false,
-        message: "Payment intent ID and user ID are required",
-      });
-    }
+/**
+ * Full catalog for the back office, including archived entries and stock levels
+ * GET /api/admin/catalog
+ * Operations only (X-Admin-Key)
+ */
+app.get("/api/admin/catalog", requireAdmin, async (req, res) => {
+  try {
+    const [allCategories, allProducts] = await Promise.all([
+      catalog.listCategories({ includeArchived: true }),
+      catalog.listProducts({ includeArchived: true }),
+    ]);
 
-    // Retrieve payment intent from Stripe
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    res.json({
+      success: true,
+      data: {
+        categories: allCategories,
+        products: allProducts,
+      },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to fetch catalog");
+  }
+});
 
-    if (paymentIntent.status !== "succeeded") {
-      return res.status(400).json({
-        success: false,
-        message: `Payment not completed. Status: ${paymentIntent.status}`,
-      });
-    }
+/**
+ * Create a product
+ * POST /api/admin/products
+ * Operations only (X-Admin-Key)
+ * Body: { id, name, price, categoryId, originalPrice?, image_url?, description?, category?, badge?,
+ *         subscribable?, stock?, sortOrder? } (stock: null or omitted means stock isn't tracked)
+ */
+app.post("/api/admin/products", requireAdmin, async (req, res) => {
+  try {
+    const product = await catalog.createProduct(req.body);
+    res.status(201).json({
+      success: true,
+      data: { product },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to create product");
+  }
+});
 
-    // Determine order type from request body (explicit) or infer from context
-    const paymentOrderType = orderType || (orderItems ? "purchase" : "refill");
+/**
+ * Update a product (any of the fields accepted on create except id)
+ * PATCH /api/admin/products/:productId
+ * Operations only (X-Admin-Key). Set stock to restock or correct the count.
+ */
+app.patch("/api/admin/products/:productId", requireAdmin, async (req, res) => {
+  try {
+    const { id, status, ...changes } = req.body;
+    const product = await catalog.updateProduct(req.params.productId, changes);
+    res.json({
+      success: true,
+      data: { product },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update product");
+  }
+});
 
-    if (paymentOrderType === "purchase") {
-      // Handle order payment
-      if (!orderItems || orderItems.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: "Order items are required for purchase",
-        });
+/**
+ * Archive a product (hidden and no longer sold) or restore it
+ * POST /api/admin/products/:productId/archive
+ * POST /api/admin/products/:productId/restore
+ * Operations only (X-Admin-Key)
+ */
+app.post("/api/admin/products/:productId/:action(archive|restore)", requireAdmin, async (req, res) => {
+  try {
+    const { productId, action } = req.params;
+    const product =
+      action === "archive" ? await catalog.archiveProduct(productId) : await catalog.restoreProduct(productId);
+    res.json({
+      success: true,
+      data: { product },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update product");
+  }
+});
+
+/**
+ * Create a category
+ * POST /api/admin/categories
+ * Operations only (X-Admin-Key)
+ * Body: { id, name, sortOrder? } (id is the key products are grouped under in /api/products)
+ */
+app.post("/api/admin/categories", requireAdmin, async (req, res) => {
+  try {
+    const category = await catalog.createCategory(req.body);
+    res.status(201).json({
+      success: true,
+      data: { category },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to create category");
+  }
+});
+
+/**
+ * Rename or reorder a category
+ * PATCH /api/admin/categories/:categoryId
+ * Operations only (X-Admin-Key)
+ * Body: { name?, sortOrder? }
+ */
+app.patch("/api/admin/categories/:categoryId", requireAdmin, async (req, res) => {
+  try {
+    const category = await catalog.updateCategory(req.params.categoryId, req.body);
+    res.json({
+      success: true,
+      data: { category },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update category");
+  }
+});
+
+/**
+ * Archive a category (its products are hidden and no longer sold) or restore it
+ * POST /api/admin/categories/:categoryId/archive
+ * POST /api/admin/categories/:categoryId/restore
+ * Operations only (X-Admin-Key)
+ */
+app.post("/api/admin/categories/:categoryId/:action(archive|restore)", requireAdmin, async (req, res) => {
+  try {
+    const { categoryId, action } = req.params;
+    const category =
+      action === "archive" ? await catalog.archiveCategory(categoryId) : await catalog.restoreCategory(categoryId);
+    res.json({
+      success: true,
+      data: { category },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update category");
+  }
+});
+
+/**
+ * Price lists and customer sites, for the back office
+ * GET /api/admin/price-lists
+ * Operations only (X-Admin-Key)
+ */
+app.get("/api/admin/price-lists", requireAdmin, async (req, res) => {
+  try {
+    const [allPriceLists, allSites] = await Promise.all([customerPricing.listPriceLists(), customerPricing.listSites()]);
+    res.json({
+      success: true,
+      data: {
+        priceLists: allPriceLists,
+        sites: allSites,
+      },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to fetch price lists");
+  }
+});
+
+/**
+ * Create a price list
+ * POST /api/admin/price-lists
+ * Body: { id, name, prices: { productId: price }, customerIds?, siteIds? }
+ */
+app.post("/api/admin/price-lists", requireAdmin, async (req, res) => {
+  try {
+    const priceList = await customerPricing.createPriceList(req.body);
+    res.status(201).json({
+      success: true,
+      data: { priceList },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to create price list");
+  }
+});
+
+/**
+ * Change a price list's name, prices or assignments
+ * PATCH /api/admin/price-lists/:priceListId
+ * prices, customerIds and siteIds replace the current values
+ */
+app.patch("/api/admin/price-lists/:priceListId", requireAdmin, async (req, res) => {
+  try {
+    const { name, prices, customerIds, siteIds } = req.body;
+    const priceList = await customerPricing.updatePriceList(req.params.priceListId, {
+      name,
+      prices,
+      customerIds,
+      siteIds,
+    });
+    res.json({
+      success: true,
+      data: { priceList },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update price list");
+  }
+});
+
+/**
+ * Create a customer site (villa compound, office, ...)
+ * POST /api/admin/sites
+ * Body: { id, name, address?, customerIds? }
+ */
+app.post("/api/admin/sites", requireAdmin, async (req, res) => {
+  try {
+    const site = await customerPricing.createSite(req.body);
+    res.status(201).json({
+      success: true,
+      data: { site },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to create customer site");
+  }
+});
+
+/**
+ * Change a customer site; customerIds replaces the site's customers
+ * PATCH /api/admin/sites/:siteId
+ */
+app.patch("/api/admin/sites/:siteId", requireAdmin, async (req, res) => {
+  try {
+    const { name, address, customerIds } = req.body;
+    const site = await customerPricing.updateSite(req.params.siteId, { name, address, customerIds });
+    res.json({
+      success: true,
+      data: { site },
+    });
+  } catch (error) {
+    respondCatalogError(res, error, "Failed to update customer site");
+  }
+});
+
+/**
+ * Get wallet balance
+ * GET /api/wallet/:userId
+ */
+app.get("/api/wallet/:userId", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    res.json({
+      success: true,
+      data: await getWalletSummary(userId),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch wallet balance",
+      error: error.message,
+    });
+  }
+});
+
+// Serializes Stripe Customer creation per user
+const customerLocks = createLocks();
+
+/**
+ * Get the user's Stripe Customer ID, creating the customer on first use
+ */
+async function getOrCreateStripeCustomer(userId) {
+  return customerLocks.withLock(userId, async () => {
+    const user = await users.get(userId);
+    if (!user) {
+      throw new Error(`User ${userId} not found`);
+    }
+    if (user.stripeCustomerId) {
+      return user.stripeCustomerId;
+    }
+
+    const customer = await stripe.customers.create({
+      name: user.name,
+      phone: user.phone,
+      metadata: { userId },
+    });
+    user.stripeCustomerId = customer.id;
+    await users.set(userId, user);
+    return customer.id;
+  });
+}
+
+/**
+ * Look up a saved card; returns null unless it belongs to the customer
+ */
+async function findSavedCard(customerId, paymentMethodId) {
+  try {
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+    return paymentMethod.customer === customerId ? paymentMethod : null;
+  } catch (error) {
+    if (error.type === "StripeInvalidRequestError" || error.code === "resource_missing") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a saved card belongs to the user
+ */
+async function ownsSavedCard(userId, paymentMethodId) {
+  const customerId = await getOrCreateStripeCustomer(userId);
+  return Boolean(await findSavedCard(customerId, paymentMethodId));
+}
+
+function defaultPaymentMethodOf(customer) {
+  const defaultMethod = customer.invoice_settings && customer.invoice_settings.default_payment_method;
+  return defaultMethod && typeof defaultMethod === "object" ? defaultMethod.id : defaultMethod || null;
+}
+
+function formatSavedCard(paymentMethod, defaultPaymentMethodId) {
+  const card = paymentMethod.card || {};
+  return {
+    id: paymentMethod.id,
+    brand: card.brand,
+    last4: card.last4,
+    expMonth: card.exp_month,
+    expYear: card.exp_year,
+    isDefault: paymentMethod.id === defaultPaymentMethodId,
+  };
+}
+
+/**
+ * Start saving a card
+ * POST /api/payment-methods/setup-intent
+ * Body: { userId }
+ * The app confirms the returned clientSecret with Stripe; the card is then saved to the user's customer
+ */
+app.post("/api/payment-methods/setup-intent", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID is required",
+      });
+    }
+
+    const customerId = await getOrCreateStripeCustomer(userId);
+    const setupIntent = await stripe.setupIntents.create({
+      customer: customerId,
+      usage: "off_session",
+      payment_method_types: ["card"],
+      metadata: { userId },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        clientSecret: setupIntent.client_secret,
+        setupIntentId: setupIntent.id,
+        customerId,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating setup intent:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start saving card",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List saved cards
+ * GET /api/payment-methods/:userId
+ */
+app.get("/api/payment-methods/:userId", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const customerId = await getOrCreateStripeCustomer(req.params.userId);
+    const [customer, paymentMethods] = await Promise.all([
+      stripe.customers.retrieve(customerId),
+      stripe.paymentMethods.list({ customer: customerId, type: "card" }),
+    ]);
+    const defaultPaymentMethodId = defaultPaymentMethodOf(customer);
+
+    res.json({
+      success: true,
+      data: {
+        paymentMethods: paymentMethods.data.map((pm) => formatSavedCard(pm, defaultPaymentMethodId)),
+      },
+    });
+  } catch (error) {
+    console.error("Error listing payment methods:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch saved cards",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Make a saved card the default (used for subscriptions without a card of their own)
+ * POST /api/payment-methods/:userId/:paymentMethodId/default
+ */
+app.post("/api/payment-methods/:userId/:paymentMethodId/default", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId, paymentMethodId } = req.params;
+    const customerId = await getOrCreateStripeCustomer(userId);
+
+    const paymentMethod = await findSavedCard(customerId, paymentMethodId);
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved card not found",
+      });
+    }
+
+    await stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        paymentMethod: formatSavedCard(paymentMethod, paymentMethodId),
+      },
+    });
+  } catch (error) {
+    console.error("Error setting default payment method:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to set default card",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Delete a saved card
+ * DELETE /api/payment-methods/:userId/:paymentMethodId
+ * Subscriptions that used it fall back to the default card
+ */
+app.delete("/api/payment-methods/:userId/:paymentMethodId", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId, paymentMethodId } = req.params;
+    const customerId = await getOrCreateStripeCustomer(userId);
+
+    if (!(await findSavedCard(customerId, paymentMethodId))) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved card not found",
+      });
+    }
+
+    await stripe.paymentMethods.detach(paymentMethodId);
+
+    const usingCard = await subscriptions.filter(
+      (s) => s.userId === userId && s.stripePaymentMethodId === paymentMethodId
+    );
+    for (const { subscriptionId } of usingCard) {
+      await withSubscriptionLock(subscriptionId, async () => {
+        const subscription = await subscriptions.get(subscriptionId);
+        if (subscription.stripePaymentMethodId === paymentMethodId) {
+          subscription.stripePaymentMethodId = null;
+          await saveSubscription(subscription);
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        paymentMethodId,
+        message: "Card removed",
+      },
+    });
+  } catch (error) {
+    console.error("Error deleting payment method:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove card",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Create Stripe Payment Intent
+ * POST /api/payments/create-intent
+ * Supports both wallet refills and order payments
+ * Pass paymentMethodId to pay with a saved card, or saveCard: true to keep the new card
+ */
+app.post("/api/payments/create-intent", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    const {
+      currency = "AED",
+      userId,
+      orderItems,
+      shippingDetails,
+      orderType,
+      paymentMethodId,
+      saveCard,
+      packageId,
+      customerSiteId,
+    } = req.body;
+    let { amount } = req.body;
+    const isPurchase = orderType === "purchase" || Boolean(orderItems);
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID is required",
+      });
+    }
+
+    // Purchases are charged the server-side price; the client amount is only checked
+    let quote = null;
+    if (isPurchase) {
+      quote = await quoteOrderOrRespond(res, orderItems, amount, { customerId: userId, siteId: customerSiteId || null });
+      if (!quote || !(await stockOrRespond(res, () => catalog.checkStock(quote.items)))) {
+        return;
+      }
+      amount = quote.total;
+    }
+
+    // Refills are a top-up package or a custom amount within the refill limits
+    let refill = null;
+    if (!isPurchase) {
+      try {
+        refill = topups.resolveRefill({ amount, packageId });
+      } catch (error) {
+        if (error instanceof TopupError) {
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+            ...error.details,
+          });
+        }
+        throw error;
+      }
+      amount = refill.amount;
+    }
+
+    if (!amount || amount <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid amount",
+      });
+    }
+
+    // Convert AED to cents (Stripe uses smallest currency unit)
+    // AED doesn't have cents, so we multiply by 100 for consistency
+    const amountInCents = Math.round(amount * 100);
+
+    // Build metadata (only for reference, not used for logic)
+    const metadata = {
+      userId,
+      orderType: isPurchase ? "purchase" : "refill",
+    };
+
+    if (isPurchase) {
+      // Order payment - the cart is re-priced from these IDs when the payment is applied
+      metadata.orderAmount = amount.toString();
+      metadata.orderItems = JSON.stringify(quote.items.map(({ id, quantity }) => ({ id, quantity })));
+      if (shippingDetails) {
+        metadata.shippingDetails = JSON.stringify(shippingDetails);
+      }
+      if (customerSiteId) {
+        metadata.customerSiteId = customerSiteId;
+      }
+    } else {
+      // Wallet refill; the bonus is credited with the refill once the payment succeeds
+      metadata.refillAmount = amount.toString();
+      if (refill.bonus > 0) {
+        metadata.bonusAmount = refill.bonus.toString();
+        metadata.packageId = refill.packageId;
+      }
+    }
+
+    // Every intent is attached to the user's Stripe Customer so cards can be saved and reused
+    const customerId = await getOrCreateStripeCustomer(userId);
+    const params = {
+      amount: amountInCents,
+      currency: currency.toLowerCase(),
+      customer: customerId,
+      metadata,
+      automatic_payment_methods: {
+        enabled: true,
+      },
+    };
+
+    if (paymentMethodId) {
+      // Saved card: confirm now; 3D Secure (status requires_action) is finished in the app
+      if (!(await findSavedCard(customerId, paymentMethodId))) {
+        return res.status(400).json({
+          success: false,
+          message: "Saved card not found",
+        });
+      }
+      params.payment_method = paymentMethodId;
+      params.confirm = true;
+      params.automatic_payment_methods.allow_redirects = "never";
+    } else if (saveCard) {
+      params.setup_future_usage = "off_session";
+    }
+
+    // Create Payment Intent
+    const paymentIntent = await stripe.paymentIntents.create(params);
+
+    res.json({
+      success: true,
+      data: {
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status,
+      },
+    });
+  } catch (error) {
+    console.error("Error creating payment intent:", error);
+
+    if (error.type === "StripeCardError") {
+      return res.status(402).json({
+        success: false,
+        message: "Card was declined",
+        error: error.message,
+        errorType: error.type,
+      });
+    }
+    
+    // Provide more helpful error messages
+    let errorMessage = "Failed to create payment intent";
+    let errorDetails = error.message;
+    
+    if (error.type === "StripeConnectionError" || error.code === "ECONNRESET") {
+      errorMessage = "Cannot connect to Stripe. Please check your Stripe API key.";
+      errorDetails = "Connection error: " + (error.message || "Network error");
+      
+      if (!STRIPE_SECRET_KEY || STRIPE_SECRET_KEY === "sk_test_placeholder") {
+        errorMessage = "Stripe API key is not configured. Please set STRIPE_SECRET_KEY in your .env file.";
+        errorDetails = "Get your keys from: https://dashboard.stripe.com/apikeys";
+      }
+    } else if (error.type === "StripeAuthenticationError") {
+      errorMessage = "Invalid Stripe API key. Please check your STRIPE_SECRET_KEY.";
+      errorDetails = "Authentication failed: " + (error.message || "Invalid credentials");
+    } else if (error.type === "StripeInvalidRequestError") {
+      errorMessage = "Invalid payment request";
+      errorDetails = error.message || "Please check your payment details";
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: errorMessage,
+      error: errorDetails,
+      errorType: error.type || "UnknownError",
+    });
+  }
+});
+
+/**
+ * Re-price the cart of a paid PaymentIntent with the customer's contract prices
+ * If the customer has since been removed from the site, the cart is priced at
+ * their own prices instead: the payment has gone through either way.
+ */
+async function quotePaidCart(items, metadata) {
+  const context = { customerId: metadata.userId, siteId: metadata.customerSiteId || null };
+  try {
+    return await pricing.quote(items, context);
+  } catch (error) {
+    if (error instanceof PriceListError) {
+      console.warn(`Pricing ${metadata.orderId || "order"} without site ${context.siteId}: ${error.message}`);
+      return pricing.quote(items, { customerId: context.customerId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Apply a succeeded PaymentIntent exactly once
+ * Both /api/payments/confirm and the Stripe webhook call this. Whichever sees the
+ * intent first credits the wallet or creates the order; later calls get the
+ * recorded result back instead of applying it again.
+ * The payment type and cart come from the intent's metadata only. A purchase
+ * whose cart can't be priced, or prices at something other than what was
+ * charged, is refunded instead of becoming an order (record status "refunded").
+ * Returns the processedPayments record, or null if a split payment's cart
+ * can't be priced.
+ * shippingDetails is used if the intent doesn't carry any.
+ */
+async function applySucceededPaymentIntent(paymentIntent, { shippingDetails, source }) {
+  return paymentLocks.withLock(paymentIntent.id, async () => {
+    const existing = await processedPayments.get(paymentIntent.id);
+    if (existing) {
+      return existing;
+    }
+
+    const userId = paymentIntent.metadata.userId;
+    const type = paymentIntent.metadata.orderType || "refill";
+    const amount = paymentIntent.amount / 100; // Convert from cents to AED
+    const record = {
+      paymentIntentId: paymentIntent.id,
+      userId,
+      type,
+      amount,
+      source,
+      processedAt: new Date().toISOString(),
+    };
+
+    if (type === "purchase") {
+      // The cart recorded on the intent is what the customer was charged for
+      const items = parseMetadataJSON(paymentIntent.metadata.orderItems);
+      let quote = null;
+      try {
+        quote = items && (await quotePaidCart(items, paymentIntent.metadata));
+      } catch (error) {
+        if (!(error instanceof PricingError)) {
+          throw error;
+        }
+      }
+
+      if (!quote || !totalsMatch(amount, quote.total)) {
+        const refund = await stripe.refunds.create(
+          { payment_intent: paymentIntent.id, metadata: { userId } },
+          { idempotencyKey: `${paymentIntent.id}-unapplied` }
+        );
+        console.warn(
+          `Payment ${paymentIntent.id} charged ${amount} AED but the cart ` +
+            (quote ? `prices at ${quote.total} AED` : "can't be priced") +
+            "; refunded"
+        );
+        Object.assign(record, {
+          status: "refunded",
+          refundId: refund.id,
+          reason: quote ? "amount_mismatch" : "unpriceable",
+        });
+        await processedPayments.set(paymentIntent.id, record);
+        return record;
+      }
+
+      // Intents from /api/checkout carry the order ID and delivery slot; older ones get the default slot
+      const orderId = paymentIntent.metadata.orderId || generateOrderId();
+      const order = buildOrder({
+        orderId,
+        userId,
+        quote,
+        totalAmount: amount, // What was actually charged
+        shippingDetails: parseMetadataJSON(paymentIntent.metadata.shippingDetails) || shippingDetails || {},
+        customerSiteId: paymentIntent.metadata.customerSiteId || null,
+        deliverySlot: parseMetadataJSON(paymentIntent.metadata.deliverySlot) || resolveDeliverySlot(),
+        paymentMethod: "credit_card",
+        paymentStatus: "paid",
+        paymentIntentId: paymentIntent.id,
+        payments: [{ method: "credit_card", amount, paymentIntentId: paymentIntent.id }],
+        note: "Card payment received",
+      });
+
+      await orders.set(orderId, order);
+      // Already paid for, so this can oversell; checkout checked stock before payment
+      await catalog.takeStock(quote.items, { force: true });
+      record.orderId = orderId;
+    } else if (type === "subscription") {
+      // The billing run creates the delivery order itself; only record the charge
+      record.orderId = paymentIntent.metadata.orderId;
+    } else if (type === "split") {
+      Object.assign(record, await completeSplitPayment(paymentIntent));
+    } else {
+      const { wallet } = await ledger.post(userId, {
+        id: paymentIntent.id,
+        type: "refill",
+        amountFils: paymentIntent.amount,
+        reference: { paymentIntentId: paymentIntent.id },
+      });
+      await clearFailedRefill(userId, paymentIntent.id);
+      record.transactionId = paymentIntent.id;
+
+      // Package bonus is a separate entry so it can be told apart from paid-for credit
+      const bonus = parseFloat(paymentIntent.metadata.bonusAmount || "0");
+      if (bonus > 0) {
+        await ledger.post(userId, {
+          id: `${paymentIntent.id}-bonus`,
+          type: "bonus",
+          amountFils: toFils(bonus),
+          reference: { paymentIntentId: paymentIntent.id, packageId: paymentIntent.metadata.packageId || null },
+          description: "Top-up bonus",
+        });
+        record.bonusAmount = bonus;
+      }
+      console.log(`Wallet updated for user ${userId}: +${amount} ${wallet.currency} (via ${source})`);
+    }
+
+    await processedPayments.set(paymentIntent.id, record);
+    return record;
+  });
+}
+
+/**
+ * End the stock reservation of a split payment, putting the stock back if release is set
+ * Resolves with whether the reservation was still there to end.
+ */
+async function endStockReservation(orderId, { release }) {
+  return orderLocks.withLock(`reservation:${orderId}`, async () => {
+    const reservation = await stockReservations.get(orderId);
+    if (!reservation) {
+      return false;
+    }
+    await stockReservations.delete(orderId);
+    if (release) {
+      await catalog.returnStock(reservation.items);
+    }
+    return true;
+  });
+}
+
+/**
+ * Put back the stock of split payments whose reservation has lapsed unpaid
+ */
+async function releaseLapsedStockReservations(at = new Date()) {
+  const lapsed = await stockReservations.filter((reservation) => new Date(reservation.expiresAt) <= at);
+  for (const reservation of lapsed) {
+    await endStockReservation(reservation.orderId, { release: true });
+  }
+  return lapsed.length;
+}
+
+/**
+ * Finish a split payment once its card part has succeeded
+ * Captures the wallet hold and creates the order paid by both. If the hold
+ * lapsed and the balance has since been spent, the card part is refunded and
+ * the reserved stock put back instead; so is a cart that can no longer be
+ * priced, with the hold released too. Returns fields for the processedPayments record.
+ */
+async function completeSplitPayment(paymentIntent) {
+  const { userId, orderId, holdId } = paymentIntent.metadata;
+  const walletAmount = parseFloat(paymentIntent.metadata.walletAmount);
+  const cardAmount = paymentIntent.amount / 100;
+
+  let quote;
+  try {
+    quote = await quotePaidCart(parseMetadataJSON(paymentIntent.metadata.orderItems), paymentIntent.metadata);
+  } catch (error) {
+    if (!(error instanceof PricingError)) {
+      throw error;
+    }
+    const refund = await stripe.refunds.create(
+      { payment_intent: paymentIntent.id, metadata: { orderId, userId } },
+      { idempotencyKey: `${paymentIntent.id}-unapplied` }
+    );
+    await ledger.releaseHold(userId, holdId);
+    await endStockReservation(orderId, { release: true });
+    console.warn(`Split payment ${paymentIntent.id}: the cart can't be priced; card part refunded`);
+    return { status: "refunded", refundId: refund.id, reason: "unpriceable" };
+  }
+
+  try {
+    await ledger.captureHold(userId, holdId, {
+      id: `TXN-${orderId}`,
+      type: "purchase",
+      amountFils: -toFils(walletAmount),
+      reference: { orderId, paymentIntentId: paymentIntent.id },
+    });
+  } catch (error) {
+    if (!(error instanceof InsufficientFundsError)) {
+      throw error;
+    }
+    const refund = await stripe.refunds.create(
+      { payment_intent: paymentIntent.id, metadata: { orderId, userId } },
+      { idempotencyKey: `${orderId}-split-expired` }
+    );
+    await endStockReservation(orderId, { release: true });
+    console.warn(`Split payment ${paymentIntent.id}: wallet hold expired and was spent; card part refunded`);
+    return { status: "hold_expired", refundId: refund.id };
+  }
+
+  const totalAmount = toAED(toFils(walletAmount) + toFils(cardAmount));
+  if (!totalsMatch(totalAmount, quote.total)) {
+    console.warn(
+      `Split payment ${paymentIntent.id} took ${totalAmount} AED but the cart now prices at ${quote.total} AED`
+    );
+  }
+
+  await orders.set(
+    orderId,
+    buildOrder({
+      orderId,
+      userId,
+      quote,
+      totalAmount,
+      shippingDetails: parseMetadataJSON(paymentIntent.metadata.shippingDetails) || {},
+      customerSiteId: paymentIntent.metadata.customerSiteId || null,
+      deliverySlot: parseMetadataJSON(paymentIntent.metadata.deliverySlot) || resolveDeliverySlot(),
+      paymentMethod: "split",
+      paymentStatus: "paid",
+      paymentIntentId: paymentIntent.id,
+      payments: [
+        { method: "wallet", amount: walletAmount, transactionId: `TXN-${orderId}` },
+        { method: "credit_card", amount: cardAmount, paymentIntentId: paymentIntent.id },
+      ],
+      note: "Paid from wallet and card",
+    })
+  );
+  // The stock reserved at checkout becomes the order's; if the reservation lapsed it is taken again
+  if (!(await endStockReservation(orderId, { release: false }))) {
+    await catalog.takeStock(quote.items, { force: true });
+  }
+
+  return { orderId, walletAmount };
+}
+
+// Parse a JSON string stored in PaymentIntent metadata, or null if missing/invalid
+function parseMetadataJSON(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Confirm payment and update wallet or create order
+ * POST /api/payments/confirm
+ * Handles both wallet refills and order payments
+ * Safe to call repeatedly: each PaymentIntent is only applied once
+ */
+app.post("/api/payments/confirm", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    const { paymentIntentId, userId, shippingDetails } = req.body;
+
+    if (!paymentIntentId || !userId) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment intent ID and user ID are required",
+      });
+    }
+
+    // Retrieve payment intent from Stripe
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.metadata.userId !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: "Payment intent does not belong to this user",
+      });
+    }
+
+    if (paymentIntent.status !== "succeeded") {
+      return res.status(400).json({
+        success: false,
+        message: `Payment not completed. Status: ${paymentIntent.status}`,
+      });
+    }
+
+    // What the payment was for comes from the intent, never from the request
+    const processed = await applySucceededPaymentIntent(paymentIntent, {
+      shippingDetails,
+      source: "confirm",
+    });
+
+    if (!processed) {
+      return res.status(400).json({
+        success: false,
+        message: "Order items could not be priced",
+      });
+    }
+
+    if (processed.status === "hold_expired") {
+      return res.status(409).json({
+        success: false,
+        message: "The reserved wallet balance expired before the card payment finished. The card payment has been refunded.",
+        data: { refundId: processed.refundId },
+      });
+    }
+
+    if (processed.status === "refunded") {
+      return res.status(409).json({
+        success: false,
+        message: "The order no longer matches what was paid. The card payment has been refunded.",
+        data: { refundId: processed.refundId },
+      });
+    }
+
+    if (processed.orderId) {
+      res.json({
+        success: true,
+        data: {
+          orderId: processed.orderId,
+          message: "Order confirmed successfully",
+        },
+      });
+    } else {
+      res.json({
+        success: true,
+        data: {
+          ...(await getWalletSummary(userId)),
+          transactionId: processed.transactionId,
+        },
+      });
+    }
+  } catch (error) {
+    console.error("Error confirming payment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm payment",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Remember a failed or canceled refill attempt for the wallet history
+ * No money moved, so these live on the wallet rather than in the ledger
+ */
+async function recordFailedRefill(userId, attempt) {
+  await ledger.updateWallet(userId, (wallet) => {
+    wallet.failedRefills = [...(wallet.failedRefills || []).filter((a) => a.id !== attempt.id), attempt];
+  });
+}
+
+// A failed attempt that later succeeds is replaced by its refill entry
+async function clearFailedRefill(userId, paymentIntentId) {
+  await ledger.updateWallet(userId, (wallet) => {
+    wallet.failedRefills = (wallet.failedRefills || []).filter((a) => a.id !== paymentIntentId);
+  });
+}
+
+/**
+ * Record a failed or canceled PaymentIntent against its order or wallet refill
+ * Nothing is recorded once the intent has been applied as a success.
+ */
+async function recordUnsuccessfulPaymentIntent(paymentIntent, status) {
+  return paymentLocks.withLock(paymentIntent.id, async () => {
+    if (await processedPayments.has(paymentIntent.id)) {
+      return;
+    }
+
+    const userId = paymentIntent.metadata.userId;
+    const order = await orders.find((o) => o.paymentIntentId === paymentIntent.id);
+
+    if (order) {
+      const orderStatus = status === "canceled" ? "cancelled" : "failed";
+      order.paymentStatus = status;
+      if (canTransition(order.status, orderStatus)) {
+        transitionOrder(order, orderStatus, { note: `Payment ${status}`, actor: "stripe" });
+      }
+      await orders.set(order.orderId, order);
+      return;
+    }
+
+    if (userId && paymentIntent.metadata.orderType === "split") {
+      // Give the reserved wallet balance and stock back; the customer can start again
+      await ledger.releaseHold(userId, paymentIntent.metadata.holdId);
+      await endStockReservation(paymentIntent.metadata.orderId, { release: true });
+      return;
+    }
+
+    if (userId && (paymentIntent.metadata.orderType || "refill") === "refill") {
+      const error = paymentIntent.last_payment_error;
+      await recordFailedRefill(userId, {
+        id: paymentIntent.id,
+        type: "refill",
+        amount: paymentIntent.amount / 100,
+        timestamp: new Date().toISOString(),
+        status,
+        failureReason: error ? error.message : null,
+      });
+    }
+  });
+}
+
+/**
+ * Take back the share of a refill's top-up bonus that matches the amount refunded or disputed
+ * Mutates record.bonusReversed; the caller saves the record.
+ */
+async function reverseRefillBonus(record, reversedAmount, suffix) {
+  if (!record.bonusAmount) {
+    return;
+  }
+
+  const bonusFils = toFils(record.bonusAmount);
+  const alreadyReversed = toFils(record.bonusReversed || 0);
+  const shareFils = Math.round((bonusFils * toFils(reversedAmount)) / toFils(record.amount));
+  const amountFils = Math.min(shareFils, bonusFils - alreadyReversed);
+  if (amountFils <= 0) {
+    return;
+  }
+
+  await ledger.post(record.userId, {
+    id: `${record.paymentIntentId}-bonus-${suffix}`,
+    type: "adjustment",
+    amountFils: -amountFils,
+    reference: { paymentIntentId: record.paymentIntentId },
+    description: "Top-up bonus reversed",
+    contraAccount: ACCOUNTS.bonuses,
+  });
+  record.bonusReversed = toAED(alreadyReversed + amountFils);
+}
+
+/**
+ * Make sure a succeeded PaymentIntent has been applied before acting on its charge
+ * (refund or dispute events can arrive before payment_intent.succeeded)
+ */
+async function getProcessedPayment(paymentIntentId) {
+  const existing = await processedPayments.get(paymentIntentId);
+  if (existing) {
+    return existing;
+  }
+
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+  if (paymentIntent.status !== "succeeded" || !paymentIntent.metadata.userId) {
+    return null;
+  }
+  return applySucceededPaymentIntent(paymentIntent, { source: "webhook" });
+}
+
+/**
+ * Stripe webhook event handlers, keyed by event type
+ * Each handler is safe to run more than once for the same event
+ */
+const stripeEventHandlers = {
+  "payment_intent.succeeded": async (paymentIntent) => {
+    if (paymentIntent.metadata.userId) {
+      await applySucceededPaymentIntent(paymentIntent, { source: "webhook" });
+    }
+  },
+
+  "payment_intent.payment_failed": async (paymentIntent) => {
+    await recordUnsuccessfulPaymentIntent(paymentIntent, "failed");
+  },
+
+  "payment_intent.canceled": async (paymentIntent) => {
+    await recordUnsuccessfulPaymentIntent(paymentIntent, "canceled");
+  },
+
+  "charge.refunded": async (charge) => {
+    if (!charge.payment_intent) {
+      return;
+    }
+    const processed = await getProcessedPayment(charge.payment_intent);
+    if (!processed) {
+      return;
+    }
+
+    await paymentLocks.withLock(processed.paymentIntentId, async () => {
+      const record = await processedPayments.get(processed.paymentIntentId);
+      const totalRefunded = charge.amount_refunded / 100;
+      // amount_refunded is cumulative, so only apply what's new since the last event
+      const newlyRefunded = totalRefunded - (record.refundedAmount || 0);
+      if (newlyRefunded <= 0) {
+        return;
+      }
+
+      const paymentStatus = charge.refunded ? "refunded" : "partially_refunded";
+
+      if (record.orderId) {
+        const order = await orders.get(record.orderId);
+        if (order) {
+          order.paymentStatus = paymentStatus;
+          // Split orders also refund to the wallet, so Stripe's total isn't the whole story
+          if (order.paymentMethod !== "split") {
+            order.refundedAmount = totalRefunded;
+          }
+          await orders.set(order.orderId, order);
+        }
+      } else if (record.type === "refill") {
+        // A refunded refill takes the credit back out of the wallet
+        await ledger.post(record.userId, {
+          id: `${record.paymentIntentId}-refund-${toFils(totalRefunded)}`,
+          type: "adjustment",
+          amountFils: -toFils(newlyRefunded),
+          reference: { paymentIntentId: record.paymentIntentId },
+          description: "Refill refunded",
+          contraAccount: ACCOUNTS.stripe,
+        });
+        await reverseRefillBonus(record, newlyRefunded, `refund-${toFils(totalRefunded)}`);
+      }
+
+      record.refundedAmount = totalRefunded;
+      record.paymentStatus = paymentStatus;
+      await processedPayments.set(record.paymentIntentId, record);
+    });
+  },
+
+  "charge.dispute.created": async (dispute) => {
+    if (!dispute.payment_intent) {
+      return;
+    }
+    const processed = await getProcessedPayment(dispute.payment_intent);
+    if (!processed) {
+      return;
+    }
+
+    await paymentLocks.withLock(processed.paymentIntentId, async () => {
+      const record = await processedPayments.get(processed.paymentIntentId);
+      const disputes = record.disputes || [];
+      if (disputes.includes(dispute.id)) {
+        return;
+      }
+
+      const disputeDetails = {
+        id: dispute.id,
+        amount: dispute.amount / 100,
+        reason: dispute.reason,
+        status: dispute.status,
+        createdAt: new Date().toISOString(),
+      };
+
+      if (record.orderId) {
+        const order = await orders.get(record.orderId);
+        if (order) {
+          order.paymentStatus = "disputed";
+          order.dispute = disputeDetails;
+          await orders.set(order.orderId, order);
+        }
+      } else if (record.type === "refill") {
+        // Stripe withdraws disputed funds immediately, so the credit is withdrawn too.
+        // This can take the wallet negative; the customer owes the difference.
+        await ledger.post(record.userId, {
+          id: dispute.id,
+          type: "adjustment",
+          amountFils: -dispute.amount,
+          reference: { paymentIntentId: record.paymentIntentId, disputeId: dispute.id },
+          description: "Refill disputed",
+          contraAccount: ACCOUNTS.stripe,
+        });
+        await reverseRefillBonus(record, disputeDetails.amount, dispute.id);
+      }
+
+      record.disputes = [...disputes, dispute.id];
+      record.paymentStatus = "disputed";
+      await processedPayments.set(record.paymentIntentId, record);
+    });
+  },
+};
+
+/**
+ * Webhook endpoint for Stripe events
+ * POST /api/webhooks/stripe
+ * Mounted on the webhooks router, which receives the raw body for signature verification
+ */
+webhooks.post("/stripe", async (req, res) => {
+  const sig = req.headers["stripe-signature"];
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || "whsec_placeholder";
+
+  let event;
+
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+  } catch (err) {
+    console.error("Webhook signature verification failed:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  // Handle the event
+  const handler = stripeEventHandlers[event.type];
+  if (handler) {
+    try {
+      await handler(event.data.object);
+    } catch (error) {
+      // Let Stripe retry the event later
+      console.error(`Error handling Stripe event ${event.type}:`, error);
+      return res.status(500).json({ received: false });
+    }
+  }
+
+  res.json({ received: true });
+});
+
+/**
+ * SMS delivery status callback
+ * POST /api/webhooks/sms
+ * The Twilio provider has messages report their delivery here (form-encoded and
+ * signed with X-Twilio-Signature) when SMS_STATUS_CALLBACK_URL is this route's
+ * public URL. The status is recorded on the OTP the message carried.
+ */
+webhooks.post("/sms", express.urlencoded({ extended: false }), async (req, res) => {
+  if (!sms.parseStatusCallback) {
+    return res.status(404).json({ received: false });
+  }
+
+  let update;
+  try {
+    update = sms.parseStatusCallback({ params: req.body, signature: req.headers["x-twilio-signature"] });
+  } catch (err) {
+    console.error("SMS status callback rejected:", err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    await otp.updateDeliveryStatus(update.messageId, update);
+  } catch (error) {
+    // Let the gateway retry the callback later
+    console.error(`Error recording SMS status for ${update.messageId}:`, error);
+    return res.status(500).json({ received: false });
+  }
+
+  res.json({ received: true });
+});
+
+/**
+ * Get wallet transaction history, newest first
+ * GET /api/wallet/:userId/transactions?limit=20&cursor=...&type=refill,purchase&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Each row carries the wallet balance after it; pass nextCursor back as cursor for the next page
+ */
+app.get("/api/wallet/:userId/transactions", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { transactions, nextCursor } = queryHistory(await getWalletHistory(userId), parseHistoryQuery(req.query));
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  } catch (error) {
+    if (error instanceof HistoryQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch transactions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Monthly wallet statement
+ * GET /api/wallet/:userId/statements/:month?format=json|csv|pdf
+ * month is YYYY-MM in UAE time
+ */
+app.get("/api/wallet/:userId/statements/:month", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId, month } = req.params;
+    const format = req.query.format || "json";
+
+    if (!["json", "csv", "pdf"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be json, csv or pdf",
+      });
+    }
+
+    const wallet = await ledger.getWallet(userId);
+    const statement = buildStatement(await getWalletHistory(userId), month, { userId, currency: wallet.currency });
+    const filename = `wallet-statement-${month}`;
+
+    if (format === "csv") {
+      res.set("Content-Type", "text/csv; charset=utf-8");
+      res.set("Content-Disposition", `attachment; filename="${filename}.csv"`);
+      return res.send(statementToCSV(statement));
+    }
+
+    if (format === "pdf") {
+      const user = await users.get(userId);
+      res.set("Content-Type", "application/pdf");
+      res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+      return res.send(statementToPDF(statement, { customerName: user && user.name }));
+    }
+
+    res.json({
+      success: true,
+      data: statement,
+    });
+  } catch (error) {
+    if (error instanceof HistoryQueryError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error building wallet statement:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build wallet statement",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Check wallet balances against the ledger
+ * GET /api/admin/ledger/reconcile?userId=...
+ * Operations only (X-Admin-Key). Without userId every wallet is checked; data.ok is false on any mismatch
+ */
+app.get("/api/admin/ledger/reconcile", requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.query;
+    const result = userId ? await ledger.reconcile(userId) : await ledger.reconcileAll();
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Error reconciling ledger:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile ledger",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get all of a user's subscriptions, oldest first
+ */
+async function listSubscriptions(userId) {
+  const userSubscriptions = await subscriptions.filter((s) => s.userId === userId);
+  await Promise.all(userSubscriptions.map((subscription) => autoResumeIfDue(subscription)));
+  return userSubscriptions.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+/**
+ * Expand every active subscription into deliveries, earliest first
+ * Returns [{ subscription, deliveryDate }]
+ */
+function upcomingSubscriptionDeliveries(userSubscriptions, options) {
+  return userSubscriptions
+    .filter((subscription) => subscription.active)
+    .flatMap((subscription) =>
+      schedule.upcomingDeliveries(subscription, options).map((deliveryDate) => ({ subscription, deliveryDate }))
+    )
+    .sort((a, b) => a.deliveryDate.getTime() - b.deliveryDate.getTime());
+}
+
+/**
+ * Resume a paused subscription once its resumeOn date (UAE time) has arrived by `at`
+ */
+async function autoResumeIfDue(subscription, at = new Date()) {
+  if (
+    subscription.status === "paused" &&
+    subscription.resumeOn &&
+    schedule.toUAEDateString(at) >= schedule.toUAEDateString(subscription.resumeOn)
+  ) {
+    resumeSubscription(subscription);
+    await saveSubscription(subscription);
+  }
+  return subscription;
+}
+
+async function saveSubscription(subscription) {
+  subscription.updatedAt = new Date().toISOString();
+  await subscriptions.set(subscription.subscriptionId, subscription);
+  return subscription;
+}
+
+function resumeSubscription(subscription) {
+  subscription.status = "active";
+  subscription.active = true;
+  subscription.pausedAt = null;
+  subscription.pauseReason = null;
+  subscription.resumeOn = null;
+  if (subscription.billing) {
+    // Give the payment method a fresh set of retries
+    subscription.billing = { ...subscription.billing, failures: 0, nextAttemptAt: null };
+  }
+  subscription.nextDelivery = calculateNextDelivery(subscription);
+}
+
+// Weeks of the month a monthly/custom plan can deliver in: the 1st to 5th occurrence of the day, or the last.
+// Older subscriptions stored some weeks as numeric strings; they are saved back as numbers.
+const isWeekInMonth = (week) =>
+  week === "last" || (["number", "string"].includes(typeof week) && [1, 2, 3, 4, 5].includes(Number(week)));
+const normalizeWeeksInMonth = (weeksInMonth) =>
+  (weeksInMonth || []).map((week) => (week === "last" ? "last" : Number(week)));
+
+/**
+ * Validate plan fields shared by create and update
+ * quantityPerDelivery may be left out (create defaults it to 1, update keeps it).
+ * Returns an error message, or null if the plan is valid
+ */
+function validateSubscriptionPlan({ planType, deliveryDays, weeksInMonth, quantityPerDelivery }) {
+  if (!planType || !["weekly", "monthly", "custom"].includes(planType)) {
+    return "Valid plan type is required";
+  }
+
+  if (!Array.isArray(deliveryDays) || deliveryDays.length === 0) {
+    return "At least one delivery day is required";
+  }
+
+  if (!deliveryDays.every((day) => day in schedule.DAY_CODES)) {
+    return "Delivery days must be mon, tue, wed, thu, fri, sat or sun";
+  }
+
+  if ((planType === "monthly" || planType === "custom") && (!weeksInMonth || weeksInMonth.length === 0)) {
+    return "At least one week in month is required for monthly/custom plans";
+  }
+
+  if (weeksInMonth !== undefined && weeksInMonth !== null) {
+    if (!Array.isArray(weeksInMonth) || !weeksInMonth.every(isWeekInMonth)) {
+      return "Weeks in month must be 1, 2, 3, 4, 5 or last";
+    }
+  }
+
+  if (quantityPerDelivery !== undefined && (!Number.isInteger(quantityPerDelivery) || quantityPerDelivery < 1)) {
+    return "Quantity per delivery must be a positive whole number";
+  }
+
+  return null;
+}
+
+const SUBSCRIPTION_PAYMENT_METHODS = ["credit_card", "cash_on_delivery", "wallet"];
+
+/**
+ * Calculate next delivery date based on subscription settings
+ * Returns an ISO string, or null if the subscription has no deliveries left
+ */
+function calculateNextDelivery(subscriptionData) {
+  const nextDelivery = schedule.nextDelivery(subscriptionData);
+  return nextDelivery ? nextDelivery.toISOString() : null;
+}
+
+/**
+ * Price one delivery of a subscription, with the customer's and site's contract prices
+ * Throws PricingError or PriceListError if it can't be priced.
+ */
+function quoteSubscriptionDelivery(subscription) {
+  return pricing.quote([{ id: subscription.productId || "w19", quantity: subscription.quantity || 1 }], {
+    customerId: subscription.userId,
+    siteId: subscription.customerSiteId || null,
+  });
+}
+
+/**
+ * Build a subscription delivery in the same shape as an order
+ * The ID is derived from the delivery day so it stays stable between requests.
+ * It is priced as billing will price it; if it can't be priced the total is null.
+ */
+async function buildSubscriptionDelivery(subscription, userId, deliveryDate) {
+  let quote = null;
+  try {
+    quote = await quoteSubscriptionDelivery(subscription);
+  } catch (error) {
+    if (!(error instanceof PricingError || error instanceof PriceListError)) {
+      throw error;
+    }
+  }
+
+  return {
+    orderId: deliveryOrderId(subscription, deliveryDate),
+    subscriptionId: subscription.subscriptionId,
+    userId: userId,
+    orderItems: quote
+      ? quote.items
+      : [
+          {
+            id: subscription.productId || "w19",
+            name: subscription.productName || "Bottled Water 19L",
+            quantity: subscription.quantity || 1,
+          },
+        ],
+    totalAmount: quote ? quote.total : null,
+    pricing: quote ? pricingSummary(quote) : null,
+    customerSiteId: subscription.customerSiteId || null,
+    shippingDetails: {
+      name: "Customer",
+      address: subscription.deliveryAddress || "Delivery Address",
+      contact: subscription.contactNumber || "+971 50 123 4567",
+    },
+    paymentMethod: subscription.paymentMethod || "credit_card",
+    status: "confirmed",
+    deliveryDate: deliveryDate.toISOString(),
+  };
+}
+
+/**
+ * A subscription as shown to its customer, with the frequency in their language
+ * (the stored frequency is English)
+ */
+function localizeSubscription(subscription, language) {
+  if (!Array.isArray(subscription.deliveryDays) || subscription.deliveryDays.length === 0) {
+    return subscription;
+  }
+  const planType = String(subscription.planType).toLowerCase();
+  return {
+    ...subscription,
+    frequency: formatFrequency(planType, subscription.deliveryDays, subscription.weeksInMonth || [], language),
+  };
+}
+
+/**
+ * Get user subscription deliveries (for orders page - subscription tab)
+ * GET /api/user-subscription/:userId
+ * Returns deliveries from all active subscriptions in the same format as orders
+ * NOTE: This must be defined BEFORE POST /api/subscriptions to avoid route conflicts
+ */
+app.get("/api/user-subscription/:userId", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userSubscriptions = await listSubscriptions(userId);
+
+    // Deliveries in the next 7 days, or just the next one if there are none this week
+    const now = new Date();
+    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    let upcoming = upcomingSubscriptionDeliveries(userSubscriptions, { from: now, until: weekFromNow });
+    if (upcoming.length === 0) {
+      upcoming = upcomingSubscriptionDeliveries(userSubscriptions, { from: now, count: 1 }).slice(0, 1);
+    }
+
+    // Deliveries that have already been billed are real orders; show those instead
+    const subscriptionDeliveries = await Promise.all(
+      upcoming.map(
+        async ({ subscription, deliveryDate }) =>
+          (await orders.get(deliveryOrderId(subscription, deliveryDate))) ||
+          buildSubscriptionDelivery(subscription, userId, deliveryDate)
+      )
+    );
+
+    res.json({
+      success: true,
+      data: {
+        orders: subscriptionDeliveries,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching subscription deliveries:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch subscription deliveries",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * List a user's subscriptions
+ * GET /api/subscriptions?userId=...&status=active
+ */
+app.get("/api/subscriptions", requireAuth, requireSelf, async (req, res) => {
+  try {
+    const { userId, status } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID is required",
+      });
+    }
+
+    let userSubscriptions = await listSubscriptions(userId);
+    if (status) {
+      userSubscriptions = userSubscriptions.filter((subscription) => subscription.status === status);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions: userSubscriptions.map((subscription) => localizeSubscription(subscription, req.language)),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching subscriptions:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch subscriptions",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Create subscription
+ * POST /api/subscriptions
+ * A user can hold several subscriptions (e.g. home and office)
+ */
+app.post("/api/subscriptions", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    const {
+      userId,
+      planType,
+      startDate,
+      startImmediately,
+      deliveryDays,
+      weeksInMonth,
+      ongoing,
+      numberOfWeeks,
+      endDate,
+      quantityPerDelivery,
+      notes,
+      remindersEnabled,
+      paymentMethod,
+      deliveryAddress,
+      productId,
+      productName,
+      paymentMethodId,
+      customerSiteId,
+    } = req.body;
+
+    // Validate required fields
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: "User ID is required",
+      });
+    }
+
+    const planError = validateSubscriptionPlan({ planType, deliveryDays, weeksInMonth, quantityPerDelivery });
+    if (planError) {
+      return res.status(400).json({
+        success: false,
+        message: planError,
+      });
+    }
+
+    if (!startImmediately && !startDate) {
+      return res.status(400).json({
+        success: false,
+        message: "Start date is required if not starting immediately",
+      });
+    }
+
+    // Format frequency
+    const frequency = formatFrequency(planType, deliveryDays, normalizeWeeksInMonth(weeksInMonth));
+
+    // Validate payment method if provided
+    if (paymentMethod && !SUBSCRIPTION_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment method. Must be credit_card, cash_on_delivery, or wallet",
+      });
+    }
+
+    if (paymentMethodId && !(await ownsSavedCard(userId, paymentMethodId))) {
+      return res.status(400).json({
+        success: false,
+        message: "Saved card not found",
+      });
+    }
+
+    const product = productId ? await catalog.findProduct(productId) : null;
+    if (productId && !(product && product.subscribable)) {
+      return res.status(400).json({
+        success: false,
+        message: "This product is not available for subscriptions",
+      });
+    }
+
+    // Deliveries to a customer site are billed at the site's contract prices
+    if (customerSiteId) {
+      try {
+        await customerPricing.resolvePrices({ customerId: userId, siteId: customerSiteId });
+      } catch (error) {
+        if (error instanceof PriceListError) {
+          return res.status(error.status).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        throw error;
+      }
+    }
+
+    // Create subscription object
+    const subscriptionId = generateSubscriptionId();
+    const subscription = {
+      subscriptionId,
+      userId,
+      planType: planType.charAt(0).toUpperCase() + planType.slice(1), // Capitalize
+      frequency,
+      quantity: quantityPerDelivery || 1,
+      productName: productName || (product && product.name) || "Bottled Water 19L", // Use provided product name or default
+      productId: productId || null, // Store product ID for reference
+      nextDelivery: null,
+      deliveryAddress: deliveryAddress || "Delivery Address", // Use provided address or default
+      customerSiteId: customerSiteId || null,
+      contactNumber: "+971 50 123 4567", // Should come from user profile or form
+      startDate: startImmediately ? new Date().toISOString() : startDate,
+      endDate: ongoing ? null : endDate,
+      numberOfWeeks: ongoing ? null : numberOfWeeks,
+      ongoing,
+      deliveryDays,
+      weeksInMonth: normalizeWeeksInMonth(weeksInMonth),
+      notes: notes || "",
+      remindersEnabled: remindersEnabled !== false,
+      status: "active",
+      active: true,
+      skippedDates: [],
+      paymentMethod: paymentMethod || "credit_card", // Default to credit_card if not provided
+      stripePaymentMethodId: paymentMethodId || null, // Saved card for billing; null uses the default card
+      createdAt: new Date().toISOString(),
+    };
+    subscription.nextDelivery = calculateNextDelivery(subscription);
+
+    // Store subscription
+    await subscriptions.set(subscriptionId, subscription);
+
+    res.json({
+      success: true,
+      data: {
+        subscriptionId,
+        message: "Subscription created successfully",
+      },
+    });
+  } catch (error) {
+    console.error("Error creating subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create subscription",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Load a subscription by ID for the authenticated user
+ * Responds with 404/403 and returns null if it can't be used
+ */
+async function findOwnSubscription(req, res) {
+  const subscription = await subscriptions.get(req.params.subscriptionId);
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: "Subscription not found",
+    });
+    return null;
+  }
+
+  if (subscription.userId !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: "You do not have access to this subscription",
+    });
+    return null;
+  }
+
+  return autoResumeIfDue(subscription);
+}
+
+/**
+ * Run fn holding the subscription's billing lock
+ * Changes to a subscription are made under it, so that a billing run charging
+ * meanwhile can't save the copy it loaded before the charge over them.
+ */
+function withSubscriptionLock(subscriptionId, fn) {
+  return orderLocks.withLock(`subscription:${subscriptionId}`, fn);
+}
+
+// Respond with 409 if the subscription has been cancelled; returns true if it has
+function rejectIfCancelled(subscription, res) {
+  if (subscription.status !== "cancelled") {
+    return false;
+  }
+  res.status(409).json({
+    success: false,
+    message: "This subscription has been cancelled",
+  });
+  return true;
+}
+
+/**
+ * Update a subscription
+ * PATCH /api/subscriptions/:subscriptionId
+ * Body (all optional): { quantityPerDelivery, planType, deliveryDays, weeksInMonth,
+ *   deliveryAddress, contactNumber, paymentMethod, paymentMethodId, notes, remindersEnabled }
+ */
+app.patch("/api/subscriptions/:subscriptionId", requireAuth, async (req, res) => {
+  try {
+    await withSubscriptionLock(req.params.subscriptionId, async () => {
+      const subscription = await findOwnSubscription(req, res);
+      if (!subscription || rejectIfCancelled(subscription, res)) {
+        return;
+      }
+
+      const {
+        quantityPerDelivery,
+        planType = subscription.planType.toLowerCase(),
+        deliveryDays = subscription.deliveryDays,
+        weeksInMonth = subscription.weeksInMonth,
+        deliveryAddress,
+        contactNumber,
+        paymentMethod,
+        paymentMethodId,
+        notes,
+        remindersEnabled,
+      } = req.body;
+
+      const planError = validateSubscriptionPlan({ planType, deliveryDays, weeksInMonth, quantityPerDelivery });
+      if (planError) {
+        return res.status(400).json({
+          success: false,
+          message: planError,
+        });
+      }
+
+      if (paymentMethod && !SUBSCRIPTION_PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment method. Must be credit_card, cash_on_delivery, or wallet",
+        });
+      }
+
+      if (paymentMethodId && !(await ownsSavedCard(subscription.userId, paymentMethodId))) {
+        return res.status(400).json({
+          success: false,
+          message: "Saved card not found",
+        });
+      }
+
+      subscription.planType = planType.charAt(0).toUpperCase() + planType.slice(1);
+      subscription.deliveryDays = deliveryDays;
+      subscription.weeksInMonth = normalizeWeeksInMonth(weeksInMonth);
+      subscription.frequency = formatFrequency(planType, deliveryDays, subscription.weeksInMonth);
+      if (quantityPerDelivery !== undefined) subscription.quantity = quantityPerDelivery;
+      if (deliveryAddress !== undefined) subscription.deliveryAddress = deliveryAddress;
+      if (contactNumber !== undefined) subscription.contactNumber = contactNumber;
+      if (paymentMethod !== undefined) subscription.paymentMethod = paymentMethod;
+      if (paymentMethodId !== undefined) subscription.stripePaymentMethodId = paymentMethodId || null;
+      if (notes !== undefined) subscription.notes = notes;
+      if (remindersEnabled !== undefined) subscription.remindersEnabled = remindersEnabled !== false;
+      subscription.nextDelivery = calculateNextDelivery(subscription);
+
+      await saveSubscription(subscription);
+
+      res.json({
+        success: true,
+        data: {
+          subscription: localizeSubscription(subscription, req.language),
+        },
+      });
+    });
+  } catch (error) {
+    console.error("Error updating subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update subscription",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Pause a subscription
+ * POST /api/subscriptions/:subscriptionId/pause
+ * Body: { resumeOn? } - optional date (YYYY-MM-DD, UAE time) to resume automatically
+ */
+app.post("/api/subscriptions/:subscriptionId/pause", requireAuth, idempotent, async (req, res) => {
+  try {
+    await withSubscriptionLock(req.params.subscriptionId, async () => {
+      const subscription = await findOwnSubscription(req, res);
+      if (!subscription || rejectIfCancelled(subscription, res)) {
+        return;
+      }
+
+      const { resumeOn } = req.body;
+
+      if (resumeOn && (isNaN(new Date(resumeOn).getTime()) || new Date(resumeOn) <= new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: "Resume date must be a valid date in the future",
+        });
+      }
+
+      subscription.status = "paused";
+      subscription.active = false;
+      subscription.pausedAt = new Date().toISOString();
+      subscription.resumeOn = resumeOn || null;
+      subscription.nextDelivery = calculateNextDelivery(subscription);
+
+      await saveSubscription(subscription);
+
+      res.json({
+        success: true,
+        data: {
+          subscriptionId: subscription.subscriptionId,
+          status: subscription.status,
+          resumeOn: subscription.resumeOn,
+          nextDelivery: subscription.nextDelivery,
+        },
+      });
+    });
+  } catch (error) {
+    console.error("Error pausing subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to pause subscription",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Resume a paused subscription
+ * POST /api/subscriptions/:subscriptionId/resume
+ */
+app.post("/api/subscriptions/:subscriptionId/resume", requireAuth, idempotent, async (req, res) => {
+  try {
+    await withSubscriptionLock(req.params.subscriptionId, async () => {
+      const subscription = await findOwnSubscription(req, res);
+      if (!subscription || rejectIfCancelled(subscription, res)) {
+        return;
+      }
+
+      if (subscription.status === "paused") {
+        resumeSubscription(subscription);
+        await saveSubscription(subscription);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          subscriptionId: subscription.subscriptionId,
+          status: subscription.status,
+          nextDelivery: subscription.nextDelivery,
+        },
+      });
+    });
+  } catch (error) {
+    console.error("Error resuming subscription:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resume subscription",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Skip the next scheduled delivery
+ * POST /api/subscriptions/:subscriptionId/skip-next
+ */
+app.post("/api/subscriptions/:subscriptionId/skip-next", requireAuth, idempotent, async (req, res) => {
+  try {
+    await withSubscriptionLock(req.params.subscriptionId, async () => {
+      const subscription = await findOwnSubscription(req, res);
+      if (!subscription || rejectIfCancelled(subscription, res)) {
+        return;
       }
 
-      // Calculate order amount from items or use payment intent amount
-      const orderAmount = orderItems.reduce(
-        (sum, item) => sum + (item.price || 0) * (item.quantity || 0),
-        0
-      ) || paymentIntent.amount / 100; // Fallback to payment intent amount if calculation fails
+      const next = schedule.nextDelivery(subscription);
 
-      if (orderAmount <= 0) {
-        return res.status(400).json({
+      if (!next) {
+        return res.status(409).json({
           success: false,
-          message: "Invalid order amount",
+          message: "There is no upcoming delivery to skip",
         });
       }
 
-      // Create order
-      const orderId = `ORD-${Date.now()}`;
-      const order = {
-        orderId,
-        userId,
-        orderItems: orderItems,
-        totalAmount: orderAmount,
-        shippingDetails: shippingDetails || {},
-        paymentMethod: "credit_card",
-        paymentIntentId,
-        status: "confirmed",
-        createdAt: new Date().toISOString(),
-      };
+      const skippedDate = schedule.toUAEDateString(next);
+      subscription.skippedDates = [...(subscription.skippedDates || []), skippedDate];
+      subscription.nextDelivery = calculateNextDelivery(subscription);
 
-      orders.set(orderId, order);
+      await saveSubscription(subscription);
+
+      // The delivery may already have been billed; that order is cancelled and refunded
+      const [cancelledOrder = null] = await cancelBilledDeliveries(
+        subscription,
+        [deliveryOrderId(subscription, next)],
+        "Delivery skipped"
+      );
 
       res.json({
         success: true,
         data: {
-          orderId,
-          message: "Order confirmed successfully",
+          subscriptionId: subscription.subscriptionId,
+          skippedDate,
+          nextDelivery: subscription.nextDelivery,
+          cancelledOrder,
         },
       });
-    } else {
-      // Handle wallet refill
-      // Get amount from payment intent (already verified) or use payment intent amount
-      const refillAmount = paymentIntent.amount / 100; // Convert from cents to AED
+    });
+  } catch (error) {
+    console.error("Error skipping delivery:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to skip delivery",
+      error: error.message,
+    });
+  }
+});
 
-      if (refillAmount <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: "Invalid refill amount",
-        });
+/**
+ * Cancel a subscription
+ * POST /api/subscriptions/:subscriptionId/cancel
+ * Body: { reason? }
+ */
+app.post("/api/subscriptions/:subscriptionId/cancel", requireAuth, idempotent, async (req, res) => {
+  try {
+    await withSubscriptionLock(req.params.subscriptionId, async () => {
+      const subscription = await findOwnSubscription(req, res);
+      if (!subscription || rejectIfCancelled(subscription, res)) {
+        return;
       }
 
-      // Update wallet
-      const wallet = getOrCreateWallet(userId);
-      wallet.balance += refillAmount;
-      wallet.transactions.push({
-        id: paymentIntent.id,
-        type: "refill",
-        amount: refillAmount,
-        timestamp: new Date().toISOString(),
-        status: "completed",
-      });
+      subscription.status = "cancelled";
+      subscription.active = false;
+      subscription.cancelledAt = new Date().toISOString();
+      subscription.cancellationReason = req.body.reason || null;
+      subscription.nextDelivery = null;
+
+      await saveSubscription(subscription);
+
+      // Deliveries already billed but not yet dispatched are cancelled and refunded
+      const cancelledOrders = await cancelBilledDeliveries(subscription, null, "Subscription cancelled");
 
       res.json({
         success: true,
         data: {
-          balance: wallet.balance,
-          currency: wallet.currency,
-          transactionId: paymentIntent.id,
+          subscriptionId: subscription.subscriptionId,
+          status: subscription.status,
+          cancelledOrders,
+          message: "Subscription cancelled",
         },
       });
-    }
+    });
   } catch (error) {
-    console.error("Error confirming payment:", error);
+    console.error("Error cancelling subscription:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to confirm payment",
+      message: "Failed to cancel subscription",
       error: error.message,
     });
   }
 });
 
 /**
- * Webhook endpoint for Stripe events
- * POST /api/webhooks/stripe
+ * Get upcoming delivery dates for a subscription
+ * GET /api/subscriptions/:subscriptionId/schedule?count=10
+ * Returns the next `count` deliveries (max 52) in the UAE timezone
  */
-app.post("/api/webhooks/stripe", express.raw({ type: "application/json" }), async (req, res) => {
-  const sig = req.headers["stripe-signature"];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET || "whsec_placeholder";
-
-  let event;
-
+app.get("/api/subscriptions/:subscriptionId/schedule", requireAuth, async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-  } catch (err) {
-    console.error("Webhook signature verification failed:", err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event
-  if (event.type === "payment_intent.succeeded") {
-    const paymentIntent = event.data.object;
-    const userId = paymentIntent.metadata.userId;
-    const refillAmount = parseFloat(paymentIntent.metadata.refillAmount || "0");
+    const { subscriptionId } = req.params;
+    const count = Math.min(parseInt(req.query.count, 10) || 10, 52);
 
-    if (userId && refillAmount > 0) {
-      const wallet = getOrCreateWallet(userId);
-      wallet.balance += refillAmount;
-      wallet.transactions.push({
-        id: paymentIntent.id,
-        type: "refill",
-        amount: refillAmount,
-        timestamp: new Date().toISOString(),
-        status: "completed",
-      });
-      console.log(`Wallet updated for user ${userId}: +${refillAmount} ${wallet.currency}`);
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) {
+      return;
     }
-  }
 
-  res.json({ received: true });
-});
+    // Paused subscriptions with a resume date still list the deliveries after it
+    const deliveries = schedule.upcomingDeliveries(subscription, { count });
 
-app.get("/api/wallet/:userId/transactions", (req, res) => {
-  try {
-    const { userId } = req.params;
-    const wallet = getOrCreateWallet(userId);
     res.json({
       success: true,
       data: {
-        transactions: wallet.transactions,
+        subscriptionId,
+        timezone: "Asia/Dubai",
+        deliveries: deliveries.map((deliveryDate) => ({
+          date: schedule.toUAEDateString(deliveryDate),
+          deliveryDate: deliveryDate.toISOString(),
+        })),
       },
     });
   } catch (error) {
+    console.error("Error fetching subscription schedule:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch transactions",
+      message: "Failed to fetch subscription schedule",
       error: error.message,
     });
   }
 });
 
 /**
- * Sample subscription data storage
+ * Build the order for a subscription delivery, priced from the catalog at the
+ * customer's (or their site's) contract prices
  */
-const subscriptions = new Map();
+async function buildSubscriptionOrder(subscription, deliveryDate) {
+  let quote;
+  try {
+    quote = await quoteSubscriptionDelivery(subscription);
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof PriceListError) {
+      throw new BillingError(`Subscription can't be priced: ${error.message}`, "pricing_failed");
+    }
+    throw error;
+  }
+
+  return {
+    userId: subscription.userId,
+    subscriptionId: subscription.subscriptionId,
+    orderItems: quote.items,
+    totalAmount: quote.total,
+    pricing: pricingSummary(quote),
+    customerSiteId: subscription.customerSiteId || null,
+    shippingDetails: {
+      name: "Customer",
+      address: subscription.deliveryAddress || "Delivery Address",
+      contact: subscription.contactNumber || "+971 50 123 4567",
+    },
+    paymentMethod: subscription.paymentMethod || "credit_card",
+    stockTaken: true, // Billing takes the delivery out of stock once it is stored
+    status: "confirmed",
+    statusHistory: [historyEntry("confirmed", { note: "Subscription delivery", actor: "billing" })],
+    createdAt: new Date().toISOString(),
+    deliveryDate: deliveryDate.toISOString(),
+  };
+}
 
 /**
- * Get or create subscription for user
+ * Charge a subscription delivery, by the subscription's payment method
+ * Each resolves with fields to merge into the order, or throws BillingError
  */
-function getOrCreateSubscription(userId) {
-  if (!subscriptions.has(userId)) {
-    const now = new Date();
-    subscriptions.set(userId, {
-      active: true,
-      planType: "Weekly",
-      frequency: "Every Monday",
-      quantity: 2,
-      productName: "Bottled Water 19L",
-      nextDelivery: new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000).toISOString(), // 3 days from now
-      deliveryAddress: "Villa 45, Al Khalidiyah, Abu Dhabi",
-      contactNumber: "+971 50 123 4567",
-      startDate: new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString(), // Started 30 days ago
-      paymentMethod: "credit_card", // Default payment method for subscription
-    });
-  }
-  return subscriptions.get(userId);
-}
+const subscriptionChargers = {
+  wallet: async (subscription, order) => {
+    try {
+      await ledger.post(subscription.userId, {
+        id: `TXN-${order.orderId}`,
+        type: "purchase",
+        amountFils: -toFils(order.totalAmount),
+        reference: { orderId: order.orderId, subscriptionId: subscription.subscriptionId },
+        description: "Subscription delivery",
+        requireFunds: true,
+      });
+    } catch (error) {
+      if (error instanceof InsufficientFundsError) {
+        throw new BillingError("Insufficient wallet balance", "insufficient_funds");
+      }
+      throw error;
+    }
+    return { paymentStatus: "paid" };
+  },
+
+  credit_card: async (subscription, order, { attempt }) => {
+    // The subscription's own card, or else the customer's default card
+    const user = await users.get(subscription.userId);
+    const customerId = user && user.stripeCustomerId;
+    let paymentMethodId = subscription.stripePaymentMethodId;
+    if (customerId && !paymentMethodId) {
+      paymentMethodId = defaultPaymentMethodOf(await stripe.customers.retrieve(customerId));
+    }
+    if (!customerId || !paymentMethodId) {
+      throw new BillingError("No saved card for this subscription", "no_payment_method");
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create(
+        {
+          amount: Math.round(order.totalAmount * 100),
+          currency: "aed",
+          customer: customerId,
+          payment_method: paymentMethodId,
+          off_session: true,
+          confirm: true,
+          metadata: {
+            userId: subscription.userId,
+            orderType: "subscription",
+            orderId: order.orderId,
+            subscriptionId: subscription.subscriptionId,
+          },
+        },
+        // Same key for a retried run of the same attempt, so a crash can't double charge
+        { idempotencyKey: `billing-${order.orderId}-${attempt}` }
+      );
+    } catch (error) {
+      if (error.type === "StripeCardError") {
+        throw new BillingError(error.message, error.code || "card_declined");
+      }
+      throw error;
+    }
+
+    if (paymentIntent.status !== "succeeded") {
+      throw new BillingError(`Payment ${paymentIntent.status}`, paymentIntent.status);
+    }
+
+    await applySucceededPaymentIntent(paymentIntent, { source: "billing" });
+    return { paymentIntentId: paymentIntent.id, paymentStatus: "paid" };
+  },
+
+  cash_on_delivery: async () => ({}),
+};
+
+// Charges subscriptions ahead of their deliveries (see lib/billing.js)
+const billing = createBilling({
+  subscriptions,
+  orders,
+  locks: orderLocks,
+  buildOrder: buildSubscriptionOrder,
+  // Deliveries are already paid for when they are stored, so they take stock even if it runs out
+  onOrderCreated: (order) =>
+    catalog.takeStock(order.orderItems, { force: true }).catch((error) => {
+      console.error(`Stock update for ${order.orderId} failed:`, error);
+    }),
+  chargers: subscriptionChargers,
+  saveSubscription,
+  resumeIfDue: autoResumeIfDue,
+});
 
 /**
- * Calculate next delivery date based on subscription settings
+ * Cancel subscription delivery orders that billing has already placed, refunding them
+ * For a skipped delivery or a cancelled subscription. Call it holding the
+ * subscription's billing lock (withSubscriptionLock), so a billing run can't place the order meanwhile.
+ * Cancels the given delivery order IDs, or without them all of the subscription's orders.
+ * Returns [{ orderId, deliveryDate, refund }] for the orders cancelled.
  */
-function calculateNextDelivery(subscriptionData) {
-  const now = new Date();
-  const startDate = subscriptionData.startImmediately 
-    ? now 
-    : subscriptionData.startDate 
-      ? new Date(subscriptionData.startDate) 
-      : now;
-
-  // For simplicity, calculate next delivery as 3 days from now
-  // In production, this would calculate based on deliveryDays and weeksInMonth
-  const nextDelivery = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-  return nextDelivery.toISOString();
+async function cancelBilledDeliveries(subscription, orderIds, reason) {
+  const billed = orderIds
+    ? (await Promise.all(orderIds.map((orderId) => orders.get(orderId)))).filter(Boolean)
+    : await orders.filter((order) => order.subscriptionId === subscription.subscriptionId);
+  const cancelled = [];
+
+  for (const { orderId } of billed) {
+    const result = await orderLocks.withLock(orderId, async () => {
+      const order = await orders.get(orderId);
+      if (!order || !canTransition(order.status, "cancelled")) {
+        return null;
+      }
+
+      const refund = await closeOrder(order, "cancelled", { note: reason, actor: "customer" });
+      return { orderId, deliveryDate: order.deliveryDate, refund };
+    });
+    if (result) {
+      cancelled.push(result);
+    }
+  }
+
+  return cancelled;
 }
 
 /**
- * Format delivery frequency string
+ * Run subscription billing on demand
+ * POST /api/admin/billing/run
+ * Operations only (X-Admin-Key). Body: { now? } - bill as of this time instead of the current time
  */
-function formatFrequency(planType, deliveryDays, weeksInMonth) {
-  const dayNames = {
-    mon: "Monday",
-    tue: "Tuesday",
-    wed: "Wednesday",
-    thu: "Thursday",
-    fri: "Friday",
-    sat: "Saturday",
-    sun: "Sunday",
-  };
+app.post("/api/admin/billing/run", requireAdmin, async (req, res) => {
+  try {
+    const at = req.body.now ? new Date(req.body.now) : new Date();
+
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "now must be a valid date",
+      });
+    }
 
-  const days = deliveryDays.map((d) => dayNames[d] || d).join(", ");
+    const summary = await billing.run({ at });
 
-  if (planType === "weekly") {
-    return `Every ${days}`;
-  } else if (planType === "monthly") {
-    const weeks = weeksInMonth
-      .map((w) => (w === "last" ? "last" : `${w}${w === 1 ? "st" : w === 2 ? "nd" : w === 3 ? "rd" : "th"}`))
-      .join(", ");
-    return `${days} (${weeks} week${weeksInMonth.length !== 1 ? "s" : ""} of month)`;
-  } else {
-    return `Custom: ${days}`;
+    res.json({
+      success: true,
+      data: summary,
+    });
+  } catch (error) {
+    console.error("Error running subscription billing:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run subscription billing",
+      error: error.message,
+    });
   }
-}
+});
 
 /**
- * Get user subscription deliveries (for orders page - subscription tab)
- * GET /api/user-subscription/:userId
- * Returns subscription deliveries in the same format as orders
- * NOTE: This must be defined BEFORE POST /api/subscriptions to avoid route conflicts
+ * Get order details with its status timeline
+ * GET /api/orders/:orderId
+ * Only matches order IDs (ORD-...), so it doesn't shadow GET /api/orders/:userId
  */
-app.get("/api/user-subscription/:userId", (req, res) => {
+app.get("/api/orders/:orderId(ORD-[\\w-]+|SUB-[\\w-]+)", requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
+    const order = await orders.get(req.params.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
 
-    // Get subscription info (create if doesn't exist)
-    const subscription = getOrCreateSubscription(userId);
+    if (order.userId !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this order",
+      });
+    }
 
-    // Return empty array if subscription is not active
-    if (!subscription || !subscription.active) {
-      return res.json({
-        success: true,
-        data: {
-          orders: [],
+    res.json({
+      success: true,
+      data: {
+        order: {
+          ...order,
+          statusHistory: getStatusHistory(order),
         },
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch order",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Update order status (operations / drivers)
+ * PATCH /api/orders/:orderId/status
+ * Body: { status, note }
+ * Requires the X-Admin-Key header; only transitions allowed by lib/orderStatus.js succeed.
+ * Moving an order to cancelled or failed refunds what was charged and puts its stock back.
+ */
+app.patch("/api/orders/:orderId/status", requireAdmin, async (req, res) => {
+  try {
+    const { status, note, actor } = req.body;
+
+    if (!status || !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ORDER_STATUSES.join(", ")}`,
       });
     }
 
-    // Generate subscription deliveries for this week based on subscription plan
-    const now = new Date();
-    const subscriptionDeliveries = [];
-    
-    // Calculate deliveries for the current week (next 7 days)
-    const productPrice = 12.0; // Default price for Bottled Water 19L
-    
-    // Get next delivery date from subscription
-    let nextDeliveryDate = subscription.nextDelivery 
-      ? new Date(subscription.nextDelivery)
-      : new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000); // Default: 3 days from now
-    
-    // If nextDelivery is in the past or today, calculate the next occurrence
-    if (nextDeliveryDate <= now) {
-      // For weekly subscriptions, add 7 days
-      if (subscription.planType === "Weekly") {
-        const daysUntilNext = 7 - ((now.getDay() - nextDeliveryDate.getDay() + 7) % 7);
-        nextDeliveryDate = new Date(now.getTime() + daysUntilNext * 24 * 60 * 60 * 1000);
-      } else {
-        // For other types, just add a week
-        nextDeliveryDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const result = await orderLocks.withLock(req.params.orderId, async () => {
+      const order = await orders.get(req.params.orderId);
+
+      if (!order) {
+        return { status: 404, body: { success: false, message: "Order not found" } };
       }
-    }
-    
-    // Generate deliveries for the next 7 days
-    // For weekly plans, generate only the next delivery within this week
-    for (let i = 0; i < 7; i++) {
-      const checkDate = new Date(now.getTime() + i * 24 * 60 * 60 * 1000);
-      const checkDateStr = checkDate.toISOString().split('T')[0];
-      const nextDeliveryStr = nextDeliveryDate.toISOString().split('T')[0];
-      
-      if (checkDateStr === nextDeliveryStr) {
-        const deliveryId = `SUB-${userId.slice(-6)}-${Date.now()}-${i}`;
-        subscriptionDeliveries.push({
-          orderId: deliveryId,
-          userId: userId,
-          orderItems: [
-            {
-              id: "w19",
-              name: subscription.productName || "Bottled Water 19L",
-              price: productPrice,
-              quantity: subscription.quantity || 1,
-              currency: "AED",
-            },
-          ],
-          totalAmount: productPrice * (subscription.quantity || 1) * 1.15, // Including VAT
-          shippingDetails: {
-            name: "Customer",
-            address: subscription.deliveryAddress || "Delivery Address",
-            contact: subscription.contactNumber || "+971 50 123 4567",
-          },
-          paymentMethod: subscription.paymentMethod || "credit_card",
-          status: "confirmed",
-          deliveryDate: nextDeliveryDate.toISOString(),
-        });
-        break; // Only generate one delivery per week for weekly plans
+
+      let refund = null;
+      if (status === "cancelled" || status === "failed") {
+        if (order.paymentMethod === "credit_card" && !order.paymentIntentId && (await wasCharged(order))) {
+          return {
+            status: 409,
+            body: { success: false, message: "This order can't be refunded automatically" },
+          };
+        }
+        refund = await closeOrder(order, status, { note, actor: actor || "operations" });
+      } else {
+        transitionOrder(order, status, { note, actor: actor || "operations" });
+        await orders.set(order.orderId, order);
       }
-    }
-    
-    // If no delivery found for this week, use the nextDelivery date
-    if (subscriptionDeliveries.length === 0) {
-      const deliveryId = `SUB-${userId.slice(-6)}-${Date.now()}`;
-      subscriptionDeliveries.push({
-        orderId: deliveryId,
-        userId: userId,
-        orderItems: [
-          {
-            id: "w19",
-            name: subscription.productName || "Bottled Water 19L",
-            price: productPrice,
-            quantity: subscription.quantity || 1,
-            currency: "AED",
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          data: {
+            orderId: order.orderId,
+            status: order.status,
+            statusHistory: order.statusHistory,
+            refund,
           },
-        ],
-        totalAmount: productPrice * (subscription.quantity || 1) * 1.15,
-        shippingDetails: {
-          name: "Customer",
-          address: subscription.deliveryAddress || "Delivery Address",
-          contact: subscription.contactNumber || "+971 50 123 4567",
         },
-        paymentMethod: subscription.paymentMethod || "credit_card",
-        status: "confirmed",
-        deliveryDate: nextDeliveryDate.toISOString(),
+      };
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    console.error("Error updating order status:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update order status",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Delivery manifest for a day: what to load for each order, with bundles
+ * broken down into the products they contain
+ * GET /api/admin/deliveries/manifest?date=YYYY-MM-DD (UAE date, default today)
+ * Operations only (X-Admin-Key)
+ */
+app.get("/api/admin/deliveries/manifest", requireAdmin, async (req, res) => {
+  try {
+    const date = req.query.date || schedule.toUAEDateString(new Date());
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || schedule.toUAEDateString(date) !== date) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be a date (YYYY-MM-DD)",
       });
     }
 
-    // Sort by delivery date (earliest first)
-    subscriptionDeliveries.sort(
-      (a, b) => new Date(a.deliveryDate).getTime() - new Date(b.deliveryDate).getTime()
+    const dayOrders = await orders.filter(
+      (order) =>
+        ACTIVE_STATUSES.includes(order.status) &&
+        Boolean(order.deliveryDate) &&
+        schedule.toUAEDateString(order.deliveryDate) === date
     );
+    dayOrders.sort((a, b) => a.deliveryDate.localeCompare(b.deliveryDate) || a.orderId.localeCompare(b.orderId));
 
     res.json({
       success: true,
       data: {
-        orders: subscriptionDeliveries,
+        date,
+        deliveries: dayOrders.map((order) => ({
+          orderId: order.orderId,
+          status: order.status,
+          deliverySlot: order.deliverySlot || null,
+          deliveryDate: order.deliveryDate,
+          shippingDetails: order.shippingDetails || {},
+          paymentMethod: order.paymentMethod,
+          paymentStatus: order.paymentStatus || null,
+          items: physicalItems(order.orderItems),
+        })),
+        totals: physicalItems(dayOrders.flatMap((order) => order.orderItems)),
       },
     });
   } catch (error) {
-    console.error("Error fetching subscription deliveries:", error);
+    console.error("Error building delivery manifest:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch subscription deliveries",
+      message: "Failed to build delivery manifest",
       error: error.message,
     });
   }
 });
 
 /**
- * Create subscription
- * POST /api/subscriptions
+ * Refund part or all of an order through its original payment method
+ * credit_card: Stripe refund on the stored PaymentIntent
+ * wallet: credit back into the wallet as a "refund" transaction
+ * split: back to the card until its part is used up, then to the wallet
+ * cash_on_delivery: nothing was collected, so nothing to refund
+ * Returns { method, amount, reference, status } (split refunds also list their parts)
  */
-app.post("/api/subscriptions", async (req, res) => {
-  try {
-    const {
-      userId,
-      planType,
-      startDate,
-      startImmediately,
-      deliveryDays,
-      weeksInMonth,
-      ongoing,
-      numberOfWeeks,
-      endDate,
-      quantityPerDelivery,
-      notes,
-      remindersEnabled,
-      paymentMethod,
-      deliveryAddress,
-      productId,
-      productName,
-    } = req.body;
+async function refundOrderPayment(order, amount, reference) {
+  if (amount <= 0 || order.paymentMethod === "cash_on_delivery") {
+    return { method: order.paymentMethod, amount: 0, reference: null, status: "not_required" };
+  }
+
+  if (order.paymentMethod === "credit_card") {
+    const refund = await stripe.refunds.create(
+      {
+        payment_intent: order.paymentIntentId,
+        amount: toFils(amount), // Stripe amounts are in the smallest currency unit
+        metadata: { orderId: order.orderId, userId: order.userId },
+      },
+      { idempotencyKey: reference }
+    );
+    return { method: "credit_card", amount, reference: refund.id, status: refund.status };
+  }
+
+  if (order.paymentMethod === "wallet") {
+    await ledger.post(order.userId, {
+      id: reference,
+      type: "refund",
+      amountFils: toFils(amount),
+      reference: { orderId: order.orderId },
+    });
+    return { method: "wallet", amount, reference, status: "completed" };
+  }
+
+  if (order.paymentMethod === "split") {
+    const card = order.payments.find((payment) => payment.method === "credit_card");
+    const cardRefundedFils = (order.cancellations || [])
+      .flatMap((cancellation) => cancellation.refund.parts || [])
+      .filter((part) => part.method === "credit_card")
+      .reduce((sum, part) => sum + toFils(part.amount), 0);
+    const cardFils = Math.min(toFils(amount), toFils(card.amount) - cardRefundedFils);
+    const walletFils = toFils(amount) - cardFils;
+
+    const parts = [];
+    if (cardFils > 0) {
+      const cardOrder = { ...order, paymentMethod: "credit_card" };
+      parts.push(await refundOrderPayment(cardOrder, toAED(cardFils), `${reference}-card`));
+    }
+    if (walletFils > 0) {
+      const walletOrder = { ...order, paymentMethod: "wallet" };
+      parts.push(await refundOrderPayment(walletOrder, toAED(walletFils), `${reference}-wallet`));
+    }
+    const done = parts.every((part) => ["succeeded", "completed"].includes(part.status));
+    return { method: "split", amount, reference, status: done ? "completed" : "pending", parts };
+  }
+
+  throw new Error(`Unsupported payment method for refund: ${order.paymentMethod}`);
+}
+
+// Payment statuses of orders the customer has paid for (and not been fully refunded)
+const CHARGED_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+/**
+ * Whether the customer has actually been charged for an order
+ * Wallet orders from before payment statuses were recorded count as charged if
+ * their wallet debit is in the ledger. Cash on delivery and sample orders aren't.
+ */
+async function wasCharged(order) {
+  if (CHARGED_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+    return true;
+  }
+  if (order.paymentMethod === "wallet" && !order.paymentStatus) {
+    const entries = await ledger.entriesFor(order.userId);
+    return entries.some((entry) => entry.type === "purchase" && (entry.reference || {}).orderId === order.orderId);
+  }
+  return false;
+}
+
+/**
+ * Move a whole order to cancelled or failed, refunding what the customer was
+ * charged for it and putting back the stock it took. Call it holding the order's lock.
+ * Returns the refund, as refundOrderPayment does.
+ */
+async function closeOrder(order, status, { note, actor }) {
+  if (!canTransition(order.status, status)) {
+    throw new OrderTransitionError(order.status, status);
+  }
+
+  const refundAmount = (await wasCharged(order)) ? order.totalAmount : 0;
+  const cancellationNumber = (order.cancellations || []).length + 1;
+  const refund = await refundOrderPayment(order, refundAmount, `${order.orderId}-cancel-${cancellationNumber}`);
+  if (order.stockTaken) {
+    await catalog.returnStock(order.orderItems);
+  }
 
-    // Validate required fields
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
+  order.cancellations = [
+    ...(order.cancellations || []),
+    { at: new Date().toISOString(), reason: note || null, items: order.orderItems, refund },
+  ];
+  order.refundedAmount = toAED(toFils(order.refundedAmount || 0) + toFils(refund.amount));
+  transitionOrder(order, status, { note, actor });
+  await orders.set(order.orderId, order);
+  return refund;
+}
 
-    if (!planType || !["weekly", "monthly", "custom"].includes(planType)) {
-      return res.status(400).json({
-        success: false,
-        message: "Valid plan type is required",
-      });
-    }
+/**
+ * Cancel an order (or some of its items) and refund the customer
+ * POST /api/orders/:orderId/cancel
+ * Body: { reason, items?: [{ id, quantity }] }
+ * Without items the whole order is cancelled. Only allowed before dispatch.
+ * Only what was charged is refunded, and only stock that was taken is put back.
+ */
+app.post("/api/orders/:orderId/cancel", requireAuth, idempotent, async (req, res) => {
+  try {
+    const { reason, items } = req.body;
+    const { orderId } = req.params;
 
-    if (!deliveryDays || deliveryDays.length === 0) {
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
       return res.status(400).json({
         success: false,
-        message: "At least one delivery day is required",
+        message: "Choose at least one item to cancel",
       });
     }
 
-    if ((planType === "monthly" || planType === "custom") && (!weeksInMonth || weeksInMonth.length === 0)) {
-      return res.status(400).json({
-        success: false,
-        message: "At least one week in month is required for monthly/custom plans",
-      });
-    }
+    const result = await orderLocks.withLock(orderId, async () => {
+      const order = await orders.get(orderId);
 
-    if (!startImmediately && !startDate) {
-      return res.status(400).json({
-        success: false,
-        message: "Start date is required if not starting immediately",
-      });
-    }
+      if (!order) {
+        return { status: 404, body: { success: false, message: "Order not found" } };
+      }
 
-    // Calculate next delivery date
-    const subscriptionData = {
-      startImmediately,
-      startDate,
-    };
-    const nextDelivery = calculateNextDelivery(subscriptionData);
+      if (order.userId !== req.user.userId) {
+        return { status: 403, body: { success: false, message: "You do not have access to this order" } };
+      }
 
-    // Format frequency
-    const frequency = formatFrequency(planType, deliveryDays, weeksInMonth || []);
+      if (!canTransition(order.status, "cancelled")) {
+        return {
+          status: 409,
+          body: { success: false, message: `Orders that are ${order.status} can no longer be cancelled` },
+        };
+      }
 
-    // Validate payment method if provided
-    if (paymentMethod && !["credit_card", "cash_on_delivery", "wallet"].includes(paymentMethod)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid payment method. Must be credit_card, cash_on_delivery, or wallet",
-      });
-    }
+      const charged = await wasCharged(order);
+      if (charged && order.paymentMethod === "credit_card" && !order.paymentIntentId) {
+        return {
+          status: 409,
+          body: { success: false, message: "This order can't be refunded automatically. Please contact support." },
+        };
+      }
 
-    // Create subscription object
-    const subscriptionId = `SUB-${Date.now()}`;
-    const subscription = {
-      subscriptionId,
-      userId,
-      planType: planType.charAt(0).toUpperCase() + planType.slice(1), // Capitalize
-      frequency,
-      quantity: quantityPerDelivery || 1,
-      productName: productName || "Bottled Water 19L", // Use provided product name or default
-      productId: productId || null, // Store product ID for reference
-      nextDelivery,
-      deliveryAddress: deliveryAddress || "Delivery Address", // Use provided address or default
-      contactNumber: "+971 50 123 4567", // Should come from user profile or form
-      startDate: startImmediately ? new Date().toISOString() : startDate,
-      endDate: ongoing ? null : endDate,
-      numberOfWeeks: ongoing ? null : numberOfWeeks,
-      ongoing,
-      deliveryDays,
-      weeksInMonth: weeksInMonth || [],
-      notes: notes || "",
-      remindersEnabled: remindersEnabled !== false,
-      active: true,
-      paymentMethod: paymentMethod || "credit_card", // Default to credit_card if not provided
-      createdAt: new Date().toISOString(),
-    };
+      // Work out which quantities remain after the cancellation
+      const remainingItems = order.orderItems.map((item) => ({ ...item }));
+      const cancelledItems = [];
 
-    // Store subscription (replace existing if any)
-    subscriptions.set(userId, subscription);
+      for (const requested of items || remainingItems) {
+        const item = requested && remainingItems.find((i) => i.id === requested.id);
+        const quantity = items ? Number(requested && requested.quantity) : item && item.quantity;
 
-    res.json({
-      success: true,
-      data: {
-        subscriptionId,
-        message: "Subscription created successfully",
-      },
+        if (!item || !Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+          return {
+            status: 400,
+            body: { success: false, message: `Invalid cancellation quantity for ${requested && requested.id}` },
+          };
+        }
+
+        item.quantity -= quantity;
+        const cancelled = { id: item.id, name: item.name, price: item.price, quantity };
+        if (item.components) {
+          cancelled.components = item.components; // So a cancelled bundle's contents go back into stock
+        }
+        cancelledItems.push(cancelled);
+      }
+
+      // Keep the delivery fee and VAT rate the customer was originally charged
+      const originalPricing = order.pricing || { deliveryFee: 0, vatRate: VAT_RATE };
+      const keptItems = remainingItems.filter((item) => item.quantity > 0);
+      const newPricing = summarize(keptItems, originalPricing);
+      const refundAmount = charged ? toAED(toFils(order.totalAmount) - toFils(newPricing.total)) : 0;
+
+      const cancellationNumber = (order.cancellations || []).length + 1;
+      const refund = await refundOrderPayment(order, refundAmount, `${orderId}-cancel-${cancellationNumber}`);
+      if (order.stockTaken) {
+        await catalog.returnStock(cancelledItems);
+      }
+
+      order.cancellations = [
+        ...(order.cancellations || []),
+        {
+          at: new Date().toISOString(),
+          reason: reason || null,
+          items: cancelledItems,
+          refund,
+        },
+      ];
+      order.refundedAmount = toAED(toFils(order.refundedAmount || 0) + toFils(refund.amount));
+
+      if (keptItems.length === 0) {
+        transitionOrder(order, "cancelled", { note: reason, actor: "customer" });
+      } else {
+        order.orderItems = keptItems.map((item) => ({
+          ...item,
+          lineTotal: toAED(toFils(item.price) * item.quantity),
+        }));
+        order.totalAmount = newPricing.total;
+        order.pricing = { ...order.pricing, ...newPricing };
+        order.updatedAt = new Date().toISOString();
+      }
+
+      await orders.set(orderId, order);
+
+      return {
+        status: 200,
+        body: {
+          success: true,
+          data: {
+            orderId,
+            status: order.status,
+            cancelledItems,
+            refund,
+            totalAmount: order.totalAmount,
+          },
+        },
+      };
     });
+
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error("Error creating subscription:", error);
+    console.error("Error cancelling order:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to create subscription",
+      message: "Failed to cancel order",
       error: error.message,
     });
   }
@@ -1004,27 +3313,22 @@ app.post("/api/subscriptions", async (req, res) => {
 /**
  * Get user pending orders (for My Orders tab)
  * GET /api/orders/:userId
- * Returns only pending/confirmed/processing orders (not delivered/completed)
+ * Returns only active orders (pending through out_for_delivery)
  */
-app.get("/api/orders/:userId", (req, res) => {
+app.get("/api/orders/:userId", requireAuth, requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Generate sample orders for user if they don't have any
-    generateSampleOrdersForUser(userId);
+    await generateSampleOrdersForUser(userId);
 
     // Get all orders for this user
-    const userOrders = Array.from(orders.values()).filter(
+    const userOrders = await orders.filter(
       (order) => order.userId === userId
     );
 
-    // Filter to only pending orders (pending, confirmed, processing)
-    const pendingOrders = userOrders.filter(
-      (order) => 
-        order.status === "pending" || 
-        order.status === "confirmed" || 
-        order.status === "processing"
-    );
+    // Filter to only orders still on their way (pending through out_for_delivery)
+    const pendingOrders = userOrders.filter((order) => ACTIVE_STATUSES.includes(order.status));
 
     // Sort by creation date (newest first)
     pendingOrders.sort((a, b) => 
@@ -1052,7 +3356,7 @@ app.get("/api/orders/:userId", (req, res) => {
  * GET /api/this-week-deliveries/:userId
  * Returns the next delivery scheduled for this week with driver details
  */
-app.get("/api/this-week-deliveries/:userId", (req, res) => {
+app.get("/api/this-week-deliveries/:userId", requireAuth, requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
     const now = new Date();
@@ -1077,54 +3381,42 @@ app.get("/api/this-week-deliveries/:userId", (req, res) => {
     const driver = sampleDrivers[Math.floor(Math.random() * sampleDrivers.length)];
     
     // Check for subscription deliveries first
-    const subscription = getOrCreateSubscription(userId);
+    const userSubscriptions = await listSubscriptions(userId);
     let nextDelivery = null;
     
-    if (subscription && subscription.active) {
-      // Get next delivery date from subscription
-      let nextDeliveryDate = subscription.nextDelivery 
-        ? new Date(subscription.nextDelivery)
-        : new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000);
-      
-      // If nextDelivery is in the past or today, calculate the next occurrence
-      if (nextDeliveryDate <= now) {
-        if (subscription.planType === "Weekly") {
-          const daysUntilNext = 7 - ((now.getDay() - nextDeliveryDate.getDay() + 7) % 7);
-          nextDeliveryDate = new Date(now.getTime() + daysUntilNext * 24 * 60 * 60 * 1000);
-        } else {
-          nextDeliveryDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-        }
-      }
-      
-      // Check if delivery is within this week (next 7 days)
-      const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-      if (nextDeliveryDate <= weekFromNow) {
-        // Set delivery time (default: 10:00 AM)
-        nextDeliveryDate.setHours(10, 0, 0, 0);
-        
-        nextDelivery = {
-          deliveryDate: nextDeliveryDate.toISOString(),
-          deliveryTime: "10:00 AM",
-          driverName: driver.name,
-          driverPhone: driver.phone,
-          type: "subscription",
-          productName: subscription.productName || "Bottled Water 19L",
-          quantity: subscription.quantity || 1,
-        };
-      }
+    // Earliest delivery across active subscriptions within this week (next 7 days), at 10:00 AM UAE time
+    const weekFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const [upcoming] = upcomingSubscriptionDeliveries(userSubscriptions, {
+      from: now,
+      until: weekFromNow,
+      count: 1,
+    });
+
+    if (upcoming) {
+      const { subscription, deliveryDate: nextDeliveryDate } = upcoming;
+      nextDelivery = {
+        deliveryDate: nextDeliveryDate.toISOString(),
+        deliveryTime: "10:00 AM",
+        driverName: driver.name,
+        driverPhone: driver.phone,
+        type: "subscription",
+        subscriptionId: subscription.subscriptionId,
+        productName: subscription.productName || "Bottled Water 19L",
+        quantity: subscription.quantity || 1,
+      };
     }
     
     // If no subscription delivery, check for one-time orders
     if (!nextDelivery) {
-      generateSampleOrdersForUser(userId);
-      const userOrders = Array.from(orders.values()).filter(
+      await generateSampleOrdersForUser(userId);
+      const userOrders = await orders.filter(
         (order) => order.userId === userId
       );
       
       // Find the next pending/confirmed order within this week
       const upcomingOrders = userOrders
         .filter((order) => 
-          (order.status === "pending" || order.status === "confirmed" || order.status === "processing") &&
+          ACTIVE_STATUSES.includes(order.status) &&
           order.deliveryDate &&
           new Date(order.deliveryDate) > now &&
           new Date(order.deliveryDate) <= new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)
@@ -1175,24 +3467,20 @@ app.get("/api/this-week-deliveries/:userId", (req, res) => {
  * GET /api/delivery-history/:userId
  * Returns all delivered/completed orders and past subscription deliveries
  */
-app.get("/api/delivery-history/:userId", (req, res) => {
+app.get("/api/delivery-history/:userId", requireAuth, requireSelf, async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Generate sample orders for user if they don't have any
-    generateSampleOrdersForUser(userId);
+    await generateSampleOrdersForUser(userId);
 
     // Get all orders for this user
-    const userOrders = Array.from(orders.values()).filter(
+    const userOrders = await orders.filter(
       (order) => order.userId === userId
     );
 
     // Filter to only delivered/completed orders
-    const deliveredOrders = userOrders.filter(
-      (order) => 
-        order.status === "delivered" || 
-        order.status === "completed"
-    );
+    const deliveredOrders = userOrders.filter((order) => DELIVERED_STATUSES.includes(order.status));
 
     // Generate sample delivery history entries (past subscription deliveries)
     const now = new Date();
@@ -1221,36 +3509,423 @@ app.get("/api/delivery-history/:userId", (req, res) => {
       },
     ];
 
-    // Convert delivered orders to delivery history format
-    const orderHistory = deliveredOrders.map((order) => ({
-      id: order.orderId,
-      type: "order",
-      orderId: order.orderId,
-      orderItems: order.orderItems,
-      totalAmount: order.totalAmount,
-      paymentMethod: order.paymentMethod,
-      deliveryDate: order.createdAt, // Use order creation date as delivery date
-      deliveryAddress: order.shippingDetails?.address || "Delivery Address",
-      contactNumber: order.shippingDetails?.contact || "+971 50 123 4567",
-      status: order.status,
-    }));
+    // Convert delivered orders to delivery history format
+    const orderHistory = deliveredOrders.map((order) => ({
+      id: order.orderId,
+      type: "order",
+      orderId: order.orderId,
+      orderItems: order.orderItems,
+      totalAmount: order.totalAmount,
+      paymentMethod: order.paymentMethod,
+      deliveryDate: order.deliveredAt || order.deliveryDate || order.createdAt,
+      deliveryAddress: order.shippingDetails?.address || "Delivery Address",
+      contactNumber: order.shippingDetails?.contact || "+971 50 123 4567",
+      status: order.status,
+    }));
+
+    // Combine and sort by delivery date (newest first)
+    const allHistory = [...deliveryHistory, ...orderHistory].sort(
+      (a, b) => new Date(b.deliveryDate).getTime() - new Date(a.deliveryDate).getTime()
+    );
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: allHistory,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching delivery history:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch delivery history",
+      error: error.message,
+    });
+  }
+});
+
+// How long a split payment keeps the wallet share reserved while the card part is paid
+const SPLIT_PAYMENT_HOLD_MINUTES = parseFloat(process.env.SPLIT_PAYMENT_HOLD_MINUTES || "30");
+
+/**
+ * PaymentIntent metadata for an order that is created once the payment succeeds
+ * The cart is re-priced from these IDs when the payment is applied.
+ */
+function orderMetadata({ userId, orderType, orderId, quote, shippingDetails, deliverySlot, customerSiteId }) {
+  const metadata = {
+    userId,
+    orderType,
+    orderId,
+    orderAmount: quote.total.toString(),
+    orderItems: JSON.stringify(quote.items.map(({ id, quantity }) => ({ id, quantity }))),
+    deliverySlot: JSON.stringify(deliverySlot),
+  };
+  if (shippingDetails && Object.keys(shippingDetails).length > 0) {
+    metadata.shippingDetails = JSON.stringify(shippingDetails);
+  }
+  if (customerSiteId) {
+    metadata.customerSiteId = customerSiteId;
+  }
+  return metadata;
+}
+
+// The part of a checkout response that describes the order
+function checkoutSummary(order) {
+  const { orderId, status, paymentMethod, paymentStatus, totalAmount, deliverySlot } = order;
+  return { orderId, status, paymentMethod, paymentStatus, totalAmount, deliverySlot };
+}
+
+/**
+ * Run a stock check or stock take for an order route
+ * Responds with 409 (listing the short items) if something is out of stock.
+ * Resolves with true if it went through, or false if a response has been sent.
+ */
+async function stockOrRespond(res, stockOperation) {
+  try {
+    await stockOperation();
+    return true;
+  } catch (error) {
+    if (error instanceof OutOfStockError) {
+      res.status(409).json({
+        success: false,
+        message: error.message,
+        data: { items: error.items },
+      });
+      return false;
+    }
+    throw error;
+  }
+}
+
+async function placeCashOnDeliveryOrder(res, userId, quote, checkout) {
+  if (!(await stockOrRespond(res, () => catalog.takeStock(quote.items)))) {
+    return;
+  }
+
+  const order = buildOrder({
+    orderId: generateOrderId(),
+    userId,
+    quote,
+    shippingDetails: checkout.shippingDetails,
+    customerSiteId: checkout.customerSiteId,
+    deliverySlot: checkout.deliverySlot,
+    paymentMethod: "cash_on_delivery",
+    paymentStatus: "pending",
+  });
+  await orders.set(order.orderId, order);
+
+  res.json({
+    success: true,
+    data: {
+      ...checkoutSummary(order),
+      message: "Order confirmed. Payment will be collected on delivery.",
+    },
+  });
+}
+
+async function placeWalletOrder(res, userId, quote, checkout) {
+  // Stock is taken first and put back if the wallet can't pay
+  if (!(await stockOrRespond(res, () => catalog.takeStock(quote.items)))) {
+    return;
+  }
+
+  // Deduct from wallet; the balance check happens under the wallet's lock
+  const orderId = generateOrderId();
+  let debited;
+  try {
+    ({ wallet: debited } = await ledger.post(userId, {
+      id: `TXN-${orderId}`,
+      type: "purchase",
+      amountFils: -toFils(quote.total),
+      reference: { orderId },
+      requireFunds: true,
+    }));
+  } catch (error) {
+    if (error instanceof InsufficientFundsError && checkout.splitPayment && error.balanceFils > 0) {
+      // The stock taken above stays reserved for the split payment
+      return placeSplitOrder(res, userId, quote, checkout, error.balanceFils);
+    }
+    await catalog.returnStock(quote.items);
+    if (error instanceof InsufficientFundsError) {
+      return res.status(400).json({
+        success: false,
+        message: "Insufficient wallet balance",
+        data: {
+          balance: toAED(error.balanceFils),
+          required: quote.total,
+          shortfall: toAED(error.requiredFils - error.balanceFils),
+        },
+      });
+    }
+    throw error;
+  }
+
+  const order = buildOrder({
+    orderId,
+    userId,
+    quote,
+    shippingDetails: checkout.shippingDetails,
+    customerSiteId: checkout.customerSiteId,
+    deliverySlot: checkout.deliverySlot,
+    paymentMethod: "wallet",
+    paymentStatus: "paid",
+    payments: [{ method: "wallet", amount: quote.total, transactionId: `TXN-${orderId}` }],
+    note: "Paid from wallet",
+  });
+  await orders.set(orderId, order);
+
+  res.json({
+    success: true,
+    data: {
+      ...checkoutSummary(order),
+      balance: toAED(debited.balanceFils),
+      message: "Order confirmed. Payment deducted from wallet.",
+    },
+  });
+}
+
+/**
+ * Wallet checkout that the wallet can only partly cover
+ * The caller has taken the items out of stock. Holds walletFils of the wallet
+ * and creates a PaymentIntent for the rest; the stock stays reserved alongside
+ * the hold. The order is created when the intent succeeds (see
+ * completeSplitPayment); if it fails or is canceled the hold and the stock are
+ * released, and otherwise both lapse after SPLIT_PAYMENT_HOLD_MINUTES.
+ */
+async function placeSplitOrder(res, userId, quote, checkout, walletFils) {
+  const orderId = generateOrderId();
+  const holdId = `HOLD-${orderId}`;
+  const expiresAt = new Date(Date.now() + SPLIT_PAYMENT_HOLD_MINUTES * 60 * 1000);
+  const cardFils = toFils(quote.total) - walletFils;
+
+  await stockReservations.set(orderId, { orderId, userId, items: quote.items, expiresAt: expiresAt.toISOString() });
+
+  try {
+    await ledger.hold(userId, { id: holdId, amountFils: walletFils, expiresAt, reference: { orderId } });
+  } catch (error) {
+    await endStockReservation(orderId, { release: true });
+    if (error instanceof InsufficientFundsError) {
+      // The balance moved between the debit attempt and the hold
+      return res.status(409).json({
+        success: false,
+        message: "Wallet balance changed. Please try again.",
+      });
+    }
+    throw error;
+  }
+
+  let paymentIntent;
+  try {
+    const metadata = orderMetadata({ userId, orderType: "split", orderId, quote, ...checkout });
+    metadata.holdId = holdId;
+    metadata.walletAmount = toAED(walletFils).toString();
+
+    paymentIntent = await stripe.paymentIntents.create(
+      {
+        amount: cardFils,
+        currency: "aed",
+        customer: await getOrCreateStripeCustomer(userId),
+        metadata,
+        automatic_payment_methods: { enabled: true },
+      },
+      { idempotencyKey: holdId }
+    );
+  } catch (error) {
+    await ledger.releaseHold(userId, holdId);
+    await endStockReservation(orderId, { release: true });
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    data: {
+      orderId,
+      status: "requires_payment",
+      paymentMethod: "split",
+      totalAmount: quote.total,
+      deliverySlot: checkout.deliverySlot,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      total: quote.total,
+      walletAmount: toAED(walletFils),
+      cardAmount: toAED(cardFils),
+      reservationExpiresAt: expiresAt.toISOString(),
+      message: "Wallet balance reserved. Pay the rest by card to place the order.",
+    },
+  });
+}
+
+/**
+ * Card checkout
+ * The order is created when the PaymentIntent succeeds. With a saved card
+ * (paymentMethodId) the intent is confirmed straight away, so the order is
+ * usually placed before this responds; otherwise the app finishes the payment
+ * with clientSecret. Stock is checked now and taken when the order is created.
+ */
+async function placeCardOrder(res, userId, quote, checkout) {
+  if (!(await stockOrRespond(res, () => catalog.checkStock(quote.items)))) {
+    return;
+  }
+
+  const orderId = generateOrderId();
+  const customerId = await getOrCreateStripeCustomer(userId);
+  const params = {
+    amount: toFils(quote.total),
+    currency: "aed",
+    customer: customerId,
+    metadata: orderMetadata({ userId, orderType: "purchase", orderId, quote, ...checkout }),
+    automatic_payment_methods: {
+      enabled: true,
+    },
+  };
+
+  if (checkout.paymentMethodId) {
+    if (!(await findSavedCard(customerId, checkout.paymentMethodId))) {
+      return res.status(400).json({
+        success: false,
+        message: "Saved card not found",
+      });
+    }
+    params.payment_method = checkout.paymentMethodId;
+    params.confirm = true;
+    params.automatic_payment_methods.allow_redirects = "never";
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await stripe.paymentIntents.create(params);
+  } catch (error) {
+    if (error.type === "StripeCardError") {
+      return res.status(402).json({
+        success: false,
+        message: "Card was declined",
+        error: error.message,
+        errorType: error.type,
+      });
+    }
+    throw error;
+  }
+
+  if (paymentIntent.status === "succeeded") {
+    const processed = await applySucceededPaymentIntent(paymentIntent, { source: "checkout" });
+    const order = processed && processed.orderId ? await orders.get(processed.orderId) : null;
+    if (!order) {
+      // The card was charged but no order was placed: make sure the money goes back
+      let refundId = processed && processed.refundId;
+      if (!refundId) {
+        const refund = await stripe.refunds.create(
+          { payment_intent: paymentIntent.id, metadata: { orderId, userId } },
+          { idempotencyKey: `${paymentIntent.id}-unapplied` } // Same key as applySucceededPaymentIntent's refund
+        );
+        refundId = refund.id;
+      }
+      return res.status(409).json({
+        success: false,
+        message: "The order no longer matches what was paid. The card payment has been refunded.",
+        data: { refundId },
+      });
+    }
+    return res.json({
+      success: true,
+      data: {
+        ...checkoutSummary(order),
+        paymentIntentId: paymentIntent.id,
+        message: "Order confirmed successfully",
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      orderId,
+      status: "requires_payment",
+      paymentMethod: "credit_card",
+      totalAmount: quote.total,
+      deliverySlot: checkout.deliverySlot,
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      paymentIntentStatus: paymentIntent.status,
+      message: "Complete the card payment to place the order.",
+    },
+  });
+}
+
+const orderPlacers = {
+  cash_on_delivery: placeCashOnDeliveryOrder,
+  wallet: placeWalletOrder,
+  credit_card: placeCardOrder,
+};
+
+/**
+ * Validate, price and pay for a checkout, then respond
+ * Shared by POST /api/checkout and the older order routes (legacy: true,
+ * where the address and delivery slot are optional).
+ */
+async function placeOrder(res, userId, body, { legacy = false } = {}) {
+  let checkout;
+  try {
+    checkout = parseCheckout(body, { legacy });
+  } catch (error) {
+    if (error instanceof CheckoutError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        data: error.details,
+      });
+    }
+    throw error;
+  }
+
+  const quote = await quoteOrderOrRespond(res, checkout.orderItems, checkout.totalAmount, {
+    customerId: userId,
+    siteId: checkout.customerSiteId,
+  });
+  if (!quote) {
+    return;
+  }
 
-    // Combine and sort by delivery date (newest first)
-    const allHistory = [...deliveryHistory, ...orderHistory].sort(
-      (a, b) => new Date(b.deliveryDate).getTime() - new Date(a.deliveryDate).getTime()
-    );
+  return orderPlacers[checkout.paymentMethod](res, userId, quote, checkout);
+}
 
+/**
+ * Delivery slots that can be booked at checkout
+ * GET /api/checkout/delivery-slots
+ */
+app.get("/api/checkout/delivery-slots", (req, res) => {
+  try {
     res.json({
       success: true,
       data: {
-        deliveries: allHistory,
+        slots: availableDeliverySlots(),
       },
     });
   } catch (error) {
-    console.error("Error fetching delivery history:", error);
+    console.error("Error listing delivery slots:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch delivery history",
+      message: "Failed to list delivery slots",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Place an order
+ * POST /api/checkout
+ * Body: { orderItems, shippingDetails, deliverySlot: { date, window }, paymentMethod,
+ *         totalAmount?, paymentMethodId?, splitPayment? }
+ * paymentMethod is credit_card, wallet or cash_on_delivery. Wallet and cash
+ * orders are placed immediately; card orders once the payment succeeds.
+ */
+app.post("/api/checkout", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    await placeOrder(res, req.user.userId, req.body);
+  } catch (error) {
+    console.error("Error placing order:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to place order",
       error: error.message,
     });
   }
@@ -1259,41 +3934,20 @@ app.get("/api/delivery-history/:userId", (req, res) => {
 /**
  * Create cash on delivery order
  * POST /api/orders/cash-on-delivery
+ * Kept for older app versions; same as /api/checkout with paymentMethod cash_on_delivery
  */
-app.post("/api/orders/cash-on-delivery", async (req, res) => {
+app.post("/api/orders/cash-on-delivery", requireAuth, requireSelf, idempotent, async (req, res) => {
   try {
-    const { userId, orderItems, totalAmount, shippingDetails } = req.body;
+    const { userId, orderItems } = req.body;
 
-    if (!userId || !orderItems || !totalAmount) {
+    if (!userId || !orderItems) {
       return res.status(400).json({
         success: false,
         message: "Missing required fields",
       });
     }
 
-    // Create order
-    const orderId = `ORD-${Date.now()}`;
-    const order = {
-      orderId,
-      userId,
-      orderItems,
-      totalAmount,
-      shippingDetails: shippingDetails || {},
-      paymentMethod: "cash_on_delivery",
-      status: "confirmed",
-      createdAt: new Date().toISOString(),
-      deliveryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
-    };
-
-    orders.set(orderId, order);
-
-    res.json({
-      success: true,
-      data: {
-        orderId,
-        message: "Order confirmed. Payment will be collected on delivery.",
-      },
-    });
+    await placeOrder(res, userId, { ...req.body, paymentMethod: "cash_on_delivery" }, { legacy: true });
   } catch (error) {
     console.error("Error creating cash on delivery order:", error);
     res.status(500).json({
@@ -1307,15 +3961,108 @@ app.post("/api/orders/cash-on-delivery", async (req, res) => {
 /**
  * Pay with wallet
  * POST /api/orders/pay-with-wallet
+ * Body: { userId, orderItems, shippingDetails, amount?, splitPayment? }
+ * Kept for older app versions; same as /api/checkout with paymentMethod wallet
  */
+app.post("/api/orders/pay-with-wallet", requireAuth, requireSelf, idempotent, async (req, res) => {
+  try {
+    const { userId, orderItems, amount } = req.body;
+
+    if (!userId || !orderItems) {
+      return res.status(400).json({
+        success: false,
+        message: "Missing required fields",
+      });
+    }
+
+    await placeOrder(res, userId, { ...req.body, paymentMethod: "wallet", totalAmount: amount }, { legacy: true });
+  } catch (error) {
+    console.error("Error processing wallet payment:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process wallet payment",
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Authentication Endpoints
  */
 
+/**
+ * Send an OTP by SMS and record the delivery status against the OTP record
+ * language is "en", "ar" or "both" (default: SMS_DEFAULT_LANGUAGE)
+ */
+async function sendOtpSms(phone, code, language) {
+  const body = renderMessage(
+    "otp",
+    { otp: code, minutes: OTP_TTL_MS / 60000 },
+    language || SMS_DEFAULT_LANGUAGE
+  );
+  const attemptedAt = new Date().toISOString();
+  let delivery;
+
+  try {
+    const result = await sms.send({ to: phone, body });
+    delivery = {
+      provider: sms.name,
+      messageId: result.messageId,
+      status: result.status,
+      error: null,
+      attemptedAt,
+    };
+  } catch (error) {
+    console.error(`Failed to send OTP SMS to ${phone}:`, error.message);
+    delivery = {
+      provider: sms.name,
+      messageId: null,
+      status: "failed",
+      error: error.message,
+      attemptedAt,
+    };
+  }
+
+  await otp.recordDelivery(phone, delivery);
+  return delivery;
+}
+
+// Respond with 429 if the phone is locked out after too many wrong codes
+async function rejectIfLockedOut(phone, res) {
+  const until = await otp.lockedUntil(phone);
+  if (!until) {
+    return false;
+  }
+  res.status(429).json({
+    success: false,
+    error: "Too many incorrect attempts. Please try again later.",
+    retry_after: Math.ceil((until - Date.now()) / 1000),
+  });
+  return true;
+}
+
+// Respond with 429 if otp.issue/otp.resend couldn't send a new code yet
+function rejectIfSendBlocked(result, res) {
+  const messages = {
+    cooldown: "Please wait before requesting another code",
+    locked: "Too many incorrect attempts. Please try again later.",
+    too_many_resends: "Too many codes requested. Please try again later.",
+  };
+  if (!messages[result.error]) {
+    return false;
+  }
+  res.status(429).json({
+    success: false,
+    error: messages[result.error],
+    retry_after: Math.ceil(result.retryAfterMs / 1000),
+  });
+  return true;
+}
+
 // Sign In Initiate - Send phone number, get temporary token
-app.post("/api/auth/sign-in-initiate", (req, res) => {
+app.post("/api/auth/sign-in-initiate", async (req, res) => {
   try {
-    const { phone, name } = req.body;
+    const { phone, name, language } = req.body;
 
     if (!phone || !name) {
       return res.status(400).json({
@@ -1324,8 +4071,12 @@ app.post("/api/auth/sign-in-initiate", (req, res) => {
       });
     }
 
+    if (await rejectIfLockedOut(phone, res)) {
+      return;
+    }
+
     // Accept any phone number - find or create user
-    let user = Array.from(users.values()).find((u) => u.phone === phone);
+    let user = await users.find((u) => u.phone === phone);
     
     // If user doesn't exist, create one
     if (!user) {
@@ -1335,27 +4086,46 @@ app.post("/api/auth/sign-in-initiate", (req, res) => {
         name: name,
         phone: phone,
       };
-      users.set(userId, user);
+      await users.set(userId, user);
     }
 
-    // Generate temporary token (OTP validation is bypassed, so we don't need to store OTP)
-    const temporaryToken = generateTemporaryToken();
-    const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+    // Generate OTP and send it by SMS; a code that is still live counts as a resend
+    const issued = await otp.issue(phone);
+    if (rejectIfSendBlocked(issued, res)) {
+      return;
+    }
+    const { otp: code, expiresAt } = issued;
+    const delivery = await sendOtpSms(phone, code, language);
 
-    // Store temporary token (no OTP validation needed)
-    temporaryTokens.set(temporaryToken, {
+    if (delivery.status === "failed") {
+      // A fresh code is dropped; a resent one keeps its counters like /api/auth/resend-otp
+      if (!issued.reissued) {
+        await otp.discard(phone);
+      }
+      return res.status(502).json({
+        success: false,
+        error: "Could not send verification code. Please try again.",
+      });
+    }
+
+    // Store temporary token (the OTP itself lives in otpStore)
+    const temporaryToken = generateTemporaryToken();
+    await temporaryTokens.set(temporaryToken, {
       phone,
       name: user.name,
       expiresAt,
       isSignUp: false,
       userId: user.userId,
+      language: language || null,
     });
 
-    // Print to terminal (for development)
     console.log("\n🔐 Sign in initiated:");
     console.log(`📱 Phone: ${phone}`);
     console.log(`👤 Name: ${user.name}`);
-    console.log(`✅ Any 6-digit OTP will be accepted\n`);
+    if (OTP_DEV_MODE) {
+      console.log(`✅ Dev mode: any 6-digit OTP will be accepted`);
+    }
+    console.log(`⏰ Expires in 10 minutes\n`);
 
     res.json({
       success: true,
@@ -1373,9 +4143,9 @@ app.post("/api/auth/sign-in-initiate", (req, res) => {
 });
 
 // Sign Up Initiate - Send phone number and name, get temporary token
-app.post("/api/auth/sign-up-initiate", (req, res) => {
+app.post("/api/auth/sign-up-initiate", async (req, res) => {
   try {
-    const { phone, name } = req.body;
+    const { phone, name, language } = req.body;
 
     if (!phone || !name) {
       return res.status(400).json({
@@ -1385,7 +4155,7 @@ app.post("/api/auth/sign-up-initiate", (req, res) => {
     }
 
     // Check if user already exists
-    const existingUser = Array.from(users.values()).find((u) => u.phone === phone);
+    const existingUser = await users.find((u) => u.phone === phone);
     
     if (existingUser) {
       return res.status(409).json({
@@ -1394,31 +4164,45 @@ app.post("/api/auth/sign-up-initiate", (req, res) => {
       });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
-    const temporaryToken = generateTemporaryToken();
-    const expiresAt = Date.now() + 10 * 60 * 1000; // 10 minutes
+    if (await rejectIfLockedOut(phone, res)) {
+      return;
+    }
+
+    // Generate OTP and send it by SMS; a code that is still live counts as a resend
+    const issued = await otp.issue(phone);
+    if (rejectIfSendBlocked(issued, res)) {
+      return;
+    }
+    const { otp: code, expiresAt } = issued;
+    const delivery = await sendOtpSms(phone, code, language);
+
+    if (delivery.status === "failed") {
+      // A fresh code is dropped; a resent one keeps its counters like /api/auth/resend-otp
+      if (!issued.reissued) {
+        await otp.discard(phone);
+      }
+      return res.status(502).json({
+        success: false,
+        error: "Could not send verification code. Please try again.",
+      });
+    }
 
-    // Store temporary token and OTP
-    temporaryTokens.set(temporaryToken, {
+    // Store temporary token (the OTP itself lives in otpStore)
+    const temporaryToken = generateTemporaryToken();
+    await temporaryTokens.set(temporaryToken, {
       phone,
       name,
-      otp,
       expiresAt,
       isSignUp: true,
+      language: language || null,
     });
 
-    // Also store OTP by phone for verification
-    otpStore.set(phone, {
-      otp,
-      expiresAt,
-    });
-
-    // Print OTP to terminal (for development)
-    console.log("\n🔐 OTP for sign up:");
+    console.log("\n🔐 Sign up initiated:");
     console.log(`📱 Phone: ${phone}`);
     console.log(`👤 Name: ${name}`);
-    console.log(`🔢 OTP: ${otp}`);
+    if (OTP_DEV_MODE) {
+      console.log(`✅ Dev mode: any 6-digit OTP will be accepted`);
+    }
     console.log(`⏰ Expires in 10 minutes\n`);
 
     res.json({
@@ -1436,12 +4220,77 @@ app.post("/api/auth/sign-up-initiate", (req, res) => {
   }
 });
 
+// Resend OTP - Issue a new code for an existing temporary token
+app.post("/api/auth/resend-otp", async (req, res) => {
+  try {
+    const { temporary_token } = req.body;
+
+    if (!temporary_token) {
+      return res.status(400).json({
+        success: false,
+        error: "Temporary token is required",
+      });
+    }
+
+    const tokenData = await temporaryTokens.get(temporary_token);
+
+    if (!tokenData) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired temporary token",
+      });
+    }
+
+    const result = await otp.resend(tokenData.phone);
+
+    if (rejectIfSendBlocked(result, res)) {
+      return;
+    }
+
+    if (result.error) {
+      // The OTP record is gone (already used or cleaned up), so the token is useless
+      await temporaryTokens.delete(temporary_token);
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired temporary token",
+      });
+    }
+
+    const delivery = await sendOtpSms(tokenData.phone, result.otp, tokenData.language);
+
+    if (delivery.status === "failed") {
+      return res.status(502).json({
+        success: false,
+        error: "Could not send verification code. Please try again.",
+        retry_after: Math.ceil(RESEND_COOLDOWN_MS / 1000),
+      });
+    }
+
+    // Keep the temporary token alive as long as the new code
+    tokenData.expiresAt = result.expiresAt;
+    await temporaryTokens.set(temporary_token, tokenData);
+
+    res.json({
+      success: true,
+      temporary_token,
+      phone: tokenData.phone,
+      resend_available_in: Math.ceil(RESEND_COOLDOWN_MS / 1000),
+    });
+  } catch (error) {
+    console.error("Resend OTP error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
+
 // Verify OTP - Verify OTP and return permanent token
-app.post("/api/auth/verify-otp", (req, res) => {
+app.post("/api/auth/verify-otp", async (req, res) => {
   try {
-    const { temporary_token, otp } = req.body;
+    const { temporary_token, otp: submittedOtp } = req.body;
 
-    if (!temporary_token || !otp) {
+    if (!temporary_token || !submittedOtp) {
       return res.status(400).json({
         success: false,
         error: "Temporary token and OTP are required",
@@ -1449,7 +4298,7 @@ app.post("/api/auth/verify-otp", (req, res) => {
     }
 
     // Get temporary token data
-    const tokenData = temporaryTokens.get(temporary_token);
+    const tokenData = await temporaryTokens.get(temporary_token);
 
     if (!tokenData) {
       return res.status(401).json({
@@ -1460,15 +4309,14 @@ app.post("/api/auth/verify-otp", (req, res) => {
 
     // Check if token expired
     if (Date.now() > tokenData.expiresAt) {
-      temporaryTokens.delete(temporary_token);
+      await temporaryTokens.delete(temporary_token);
       return res.status(401).json({
         success: false,
         error: "Temporary token expired",
       });
     }
 
-    // Accept any 6-digit OTP (no validation against stored OTP)
-    const otpString = String(otp).trim();
+    const otpString = String(submittedOtp).trim();
     if (!/^\d{6}$/.test(otpString)) {
       return res.status(400).json({
         success: false,
@@ -1476,6 +4324,33 @@ app.post("/api/auth/verify-otp", (req, res) => {
       });
     }
 
+    // Check the code against the one stored for this phone
+    const verification = await otp.verify(tokenData.phone, otpString);
+
+    if (!verification.valid) {
+      if (verification.reason === "locked") {
+        await temporaryTokens.delete(temporary_token);
+        return res.status(429).json({
+          success: false,
+          error: "Too many incorrect attempts. Please try again later.",
+        });
+      }
+
+      if (verification.reason === "invalid") {
+        return res.status(401).json({
+          success: false,
+          error: "Incorrect OTP",
+          attempts_remaining: verification.attemptsRemaining,
+        });
+      }
+
+      await temporaryTokens.delete(temporary_token);
+      return res.status(401).json({
+        success: false,
+        error: "OTP expired. Please request a new code.",
+      });
+    }
+
     let user;
 
     if (tokenData.isSignUp) {
@@ -1486,10 +4361,10 @@ app.post("/api/auth/verify-otp", (req, res) => {
         name: tokenData.name,
         phone: tokenData.phone,
       };
-      users.set(userId, user);
+      await users.set(userId, user);
     } else {
       // Sign in - get existing user
-      user = users.get(tokenData.userId);
+      user = await users.get(tokenData.userId);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -1498,11 +4373,14 @@ app.post("/api/auth/verify-otp", (req, res) => {
       }
     }
 
-    // Generate permanent token
+    // Generate permanent token and store it as a session
     const permanentToken = generatePermanentToken();
+    await auth.createSession(user, permanentToken, {
+      userAgent: req.headers["user-agent"],
+    });
 
     // Clean up temporary token
-    temporaryTokens.delete(temporary_token);
+    await temporaryTokens.delete(temporary_token);
 
     res.json({
       success: true,
@@ -1520,72 +4398,85 @@ app.post("/api/auth/verify-otp", (req, res) => {
   }
 });
 
-app.post("/api/orders/pay-with-wallet", async (req, res) => {
+// Logout - revoke the token used for this request
+app.post("/api/auth/logout", requireAuth, async (req, res) => {
   try {
-    const { userId, amount, orderItems, shippingDetails } = req.body;
-
-    if (!userId || !amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Missing required fields or invalid amount",
-      });
-    }
+    await auth.revokeToken(req.token);
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
 
-    const wallet = getOrCreateWallet(userId);
+// List the caller's active sessions (tokens are never returned)
+app.get("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const userSessions = await auth.listSessions(req.user.userId);
+    res.json({
+      success: true,
+      sessions: userSessions.map((session) => ({
+        sessionId: session.sessionId,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        current: session.sessionId === req.session.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
 
-    // Check if wallet has sufficient balance
-    if (wallet.balance < amount) {
-      return res.status(400).json({
+// Revoke one of the caller's sessions, e.g. a lost device
+app.delete("/api/auth/sessions/:sessionId", requireAuth, async (req, res) => {
+  try {
+    const revoked = await auth.revokeSession(req.user.userId, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({
         success: false,
-        message: "Insufficient wallet balance",
-        data: {
-          balance: wallet.balance,
-          required: amount,
-          shortfall: amount - wallet.balance,
-        },
+        error: "Session not found",
       });
     }
-
-    // Deduct from wallet
-    wallet.balance -= amount;
-    wallet.transactions.push({
-      id: `TXN-${Date.now()}`,
-      type: "purchase",
-      amount: -amount,
-      timestamp: new Date().toISOString(),
-      status: "completed",
+    res.json({
+      success: true,
+      message: "Session revoked",
     });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+    });
+  }
+});
 
-    // Create order
-    const orderId = `ORD-${Date.now()}`;
-    const order = {
-      orderId,
-      userId,
-      orderItems: orderItems || [],
-      totalAmount: amount,
-      shippingDetails: shippingDetails || {},
-      paymentMethod: "wallet",
-      status: "confirmed",
-      createdAt: new Date().toISOString(),
-      deliveryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString(), // 2 days from now
-    };
-
-    orders.set(orderId, order);
-
+// Revoke all of the caller's other sessions (log out everywhere else)
+app.post("/api/auth/sessions/revoke-others", requireAuth, async (req, res) => {
+  try {
+    const revoked = await auth.revokeAllSessions(req.user.userId, {
+      exceptSessionId: req.session.sessionId,
+    });
     res.json({
       success: true,
-      data: {
-        orderId,
-        balance: wallet.balance,
-        message: "Order confirmed. Payment deducted from wallet.",
-      },
+      revoked,
     });
   } catch (error) {
-    console.error("Error processing wallet payment:", error);
+    console.error("Revoke sessions error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to process wallet payment",
-      error: error.message,
+      error: "Internal server error",
     });
   }
 });
@@ -1651,11 +4542,70 @@ const getNetworkIP = () => {
 
 const networkIP = getNetworkIP();
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`🚀 Server running on:`);
-  console.log(`   Local:   http://localhost:${PORT}`);
-  console.log(`   Network: http://${networkIP}:${PORT}`);
-  console.log(`📝 Health check: http://localhost:${PORT}/health`);
-});
+// Subscription billing interval (0 disables the scheduled runs; POST /api/admin/billing/run still works)
+const BILLING_INTERVAL_MINUTES = parseFloat(process.env.BILLING_INTERVAL_MINUTES || "15");
+
+function startBillingSchedule() {
+  if (!(BILLING_INTERVAL_MINUTES > 0)) {
+    return;
+  }
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return; // Let a slow run finish before starting the next
+    running = true;
+    try {
+      const summary = await billing.run();
+      if (summary.billed.length || summary.failed.length || summary.paused.length) {
+        console.log(
+          `💳 Billing run: ${summary.billed.length} billed, ${summary.failed.length} failed, ${summary.paused.length} paused`
+        );
+      }
+    } catch (error) {
+      console.error("Scheduled billing run failed:", error);
+    } finally {
+      running = false;
+    }
+  }, BILLING_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+}
+
+// Puts back the stock of split payments left unpaid once their wallet hold lapses
+function startReservationSweep() {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseLapsedStockReservations();
+      if (released) {
+        console.log(`📦 Released stock reserved for ${released} unpaid split payment${released === 1 ? "" : "s"}`);
+      }
+    } catch (error) {
+      console.error("Releasing lapsed stock reservations failed:", error);
+    }
+  }, 60 * 1000);
+  timer.unref();
+}
+
+// Load and migrate storage before accepting requests
+const ready = store.init();
+
+// Required by the tests the app is only exported; they listen on a port of their own
+if (require.main === module) {
+  ready
+    .then(() => {
+      app.listen(PORT, "0.0.0.0", () => {
+        console.log(`🚀 Server running on:`);
+        console.log(`   Local:   http://localhost:${PORT}`);
+        console.log(`   Network: http://${networkIP}:${PORT}`);
+        console.log(`📝 Health check: http://localhost:${PORT}/health`);
+      });
+      startBillingSchedule();
+      startReservationSweep();
+    })
+    .catch((error) => {
+      console.error("Failed to initialize storage:", error);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
+module.exports.ready = ready; // Resolves once storage is loaded and migrated
@@ -0,0 +1,252 @@
+/**
+ * The product catalog as it shipped before it was stored as data
+ * Loaded into the categories and products collections by schema migration 6;
+ * migration 7 turns the special offers into bundles of initialBundles and
+ * migration 9 adds the Arabic text in arabicCatalog.
+ * Edit the catalog through the admin endpoints, not here.
+ */
+
+const initialCategories = [
+  { id: "drinking_waters", name: "Drinking waters", sortOrder: 1 },
+  { id: "accessories", name: "Accessories", sortOrder: 2 },
+  { id: "special_offers", name: "Special offers", sortOrder: 3 },
+];
+
+// w19 and w05 were the only products offered for subscriptions
+const initialProducts = [
+  {
+    id: "200ml-cup",
+    categoryId: "drinking_waters",
+    name: "200ml Cup",
+    price: 7.35,
+    image_url: "https://www.alghadeerwater.com/lovable-uploads/e97e8c8a-a180-42e5-b588-5013648484bb.png",
+    description: "Premium quality drinking water in a convenient 200ml cup. Perfect for on-the-go hydration with BPA-free materials.",
+    category: "Drinking Water",
+    subscribable: false,
+    sortOrder: 1,
+  },
+  {
+    id: "200ml-bottle-30",
+    categoryId: "drinking_waters",
+    name: "200ml Bottle",
+    price: 10.5,
+    image_url: "https://images.unsplash.com/photo-1698664434322-94a43b98b9ba?q=80&w=765&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
+    description: "Compact 200ml bottle ideal for daily hydration. Made with eco-friendly materials.",
+    category: "Drinking Water",
+    subscribable: false,
+    sortOrder: 2,
+  },
+  {
+    id: "330ml-bottle-12",
+    categoryId: "drinking_waters",
+    name: "330ml Bottle",
+    price: 5.25,
+    image_url: "https://www.alghadeerwater.com/lovable-uploads/46c6c613-4f2b-4bc0-8e8e-b20545592e93.png",
+    description: "Standard 330ml bottle of premium purified water. Great value for everyday use.",
+    category: "Drinking Water",
+    subscribable: false,
+    sortOrder: 3,
+  },
+  {
+    id: "500ml-bottle-12",
+    categoryId: "drinking_waters",
+    name: "500ml Bottle",
+    price: 5.25,
+    image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRYjjcwgr-oWl6b3iTio1sYOj-Y-iB5RHfOzQ&s",
+    description: "500ml bottle of pure drinking water. Perfect size for work or travel.",
+    category: "Drinking Water",
+    subscribable: false,
+    sortOrder: 4,
+  },
+  {
+    id: "w19",
+    categoryId: "drinking_waters",
+    name: "Bottled Water 19L",
+    price: 12,
+    image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRB8Ozlj1C0ndAc2SmXnKckp99URIGms7nvHw&s",
+    description: "Large 19-liter bottle for home or office use. Premium quality water delivered fresh.",
+    category: "Drinking Water",
+    subscribable: true,
+    sortOrder: 5,
+  },
+  {
+    id: "w05",
+    categoryId: "drinking_waters",
+    name: "Bottled Water 5L",
+    price: 6,
+    image_url: "https://encrypted-tbn0.gstatic.com/images?q=tbn:ANd9GcRHNxKaqhMnBJGK8ccZvgv65-SMZUQn84vpNg&s",
+    description: "Convenient 5-liter bottle. Ideal for small families or single households.",
+    category: "Drinking Water",
+    subscribable: true,
+    sortOrder: 6,
+  },
+  {
+    id: "cooler",
+    categoryId: "accessories",
+    name: "Water Cooler",
+    price: 350,
+    image_url: "https://www.alghadeerwater.com/lovable-uploads/33ae9524-aa29-4945-a1a0-90d4e13adccd.png",
+    description: "Premium water cooler with hot and cold water dispensing. Modern design with energy-efficient operation.",
+    category: "Accessories",
+    subscribable: false,
+    sortOrder: 1,
+  },
+  {
+    id: "kitchen-dispenser",
+    categoryId: "accessories",
+    name: "Kitchen Dispenser",
+    price: 40,
+    image_url: "https://images.unsplash.com/photo-1544198841-10f34f31f8dd?q=80&w=687&auto=format&fit=crop&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1wYWdlfHx8fGVufDB8fHx8fA%3D%3D",
+    description: "Compact kitchen water dispenser. Easy to install and perfect for any kitchen space.",
+    category: "Accessories",
+    subscribable: false,
+    sortOrder: 2,
+  },
+  {
+    id: "manual-pump",
+    categoryId: "accessories",
+    name: "Manual Pump",
+    price: 25,
+    image_url: "https://plus.unsplash.com/premium_photo-1667516700355-4e153de39581?w=600&auto=format&fit=crop&q=60&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxwaG90by1yZWxhdGVkfDEyfHx8ZW58MHx8fHx8",
+    description: "Durable manual water pump. No electricity required, perfect for any location.",
+    category: "Accessories",
+    subscribable: false,
+    sortOrder: 3,
+  },
+  {
+    id: "disp",
+    categoryId: "accessories",
+    name: "Water Dispenser Rental",
+    price: 30,
+    image_url: "https://images.unsplash.com/photo-1593784991095-a205069470b6?w=300&h=300&fit=crop",
+    description: "Monthly rental for premium water dispenser. Includes maintenance and service.",
+    category: "Accessories",
+    subscribable: false,
+    sortOrder: 4,
+  },
+  {
+    id: "family-pack",
+    categoryId: "special_offers",
+    name: "Family Pack",
+    price: 420,
+    originalPrice: 495,
+    image_url: "https://www.alghadeerwater.com/lovable-uploads/d2973658-4577-4d76-834d-0259988c1eaf.png",
+    description: "Cooler + 5 full bottles + coupon book + free 200ml carton. Best value for families. Everything you need to start your water delivery service.",
+    category: "Special Offers",
+    badge: "Best Value",
+    subscribable: false,
+    sortOrder: 1,
+  },
+  {
+    id: "standard-pack",
+    categoryId: "special_offers",
+    name: "Standard Pack",
+    price: 380,
+    originalPrice: 425,
+    image_url: "https://www.alghadeerwater.com/assets/build-your-own-bundle-Cq1_iSCi.png",
+    description: "Cooler + 3 full bottles + coupon book + free 200ml carton. Most popular starter package for new customers.",
+    category: "Special Offers",
+    badge: "Most Popular",
+    subscribable: false,
+    sortOrder: 2,
+  },
+  {
+    id: "starter-pack",
+    categoryId: "special_offers",
+    name: "Starter Pack",
+    price: 125,
+    originalPrice: 140,
+    image_url: "https://www.alghadeerwater.com/lovable-uploads/36bdc5fe-0ba9-4c4d-a9f5-946184d4a039.png",
+    description: "Manual pump + 3 full bottles + coupon book + free 200ml carton. Perfect for trying our service.",
+    category: "Special Offers",
+    badge: "Starter Pack",
+    subscribable: false,
+    sortOrder: 3,
+  },
+];
+
+// What the special offers contain. The 200ml carton is a 30-bottle pack; the
+// coupon book isn't a catalog product, so it stays in the description only.
+const initialBundles = {
+  "family-pack": [
+    { productId: "cooler", quantity: 1 },
+    { productId: "w19", quantity: 5 },
+    { productId: "200ml-bottle-30", quantity: 1 },
+  ],
+  "standard-pack": [
+    { productId: "cooler", quantity: 1 },
+    { productId: "w19", quantity: 3 },
+    { productId: "200ml-bottle-30", quantity: 1 },
+  ],
+  "starter-pack": [
+    { productId: "manual-pump", quantity: 1 },
+    { productId: "w19", quantity: 3 },
+    { productId: "200ml-bottle-30", quantity: 1 },
+  ],
+};
+
+// Arabic names and descriptions for the shipped catalog, loaded by migration 9
+const arabicCatalog = {
+  categories: {
+    drinking_waters: { name: "مياه الشرب" },
+    accessories: { name: "الملحقات" },
+    special_offers: { name: "العروض الخاصة" },
+  },
+  products: {
+    "200ml-cup": {
+      name: "كوب 200 مل",
+      description: "مياه شرب عالية الجودة في كوب عملي سعة 200 مل. مثالي للترطيب أثناء التنقل، مصنوع من مواد خالية من BPA.",
+    },
+    "200ml-bottle-30": {
+      name: "عبوة 200 مل",
+      description: "عبوة صغيرة سعة 200 مل مثالية للترطيب اليومي. مصنوعة من مواد صديقة للبيئة.",
+    },
+    "330ml-bottle-12": {
+      name: "عبوة 330 مل",
+      description: "عبوة قياسية سعة 330 مل من المياه النقية عالية الجودة. قيمة ممتازة للاستخدام اليومي.",
+    },
+    "500ml-bottle-12": {
+      name: "عبوة 500 مل",
+      description: "عبوة مياه شرب نقية سعة 500 مل. الحجم المثالي للعمل أو السفر.",
+    },
+    w19: {
+      name: "مياه معبأة 19 لتر",
+      description: "عبوة كبيرة سعة 19 لترًا للمنزل أو المكتب. مياه عالية الجودة تصلك طازجة.",
+    },
+    w05: {
+      name: "مياه معبأة 5 لتر",
+      description: "عبوة عملية سعة 5 لترات. مثالية للعائلات الصغيرة أو الأفراد.",
+    },
+    cooler: {
+      name: "مبرد مياه",
+      description: "مبرد مياه فاخر يوفر الماء الساخن والبارد. تصميم عصري وتشغيل موفر للطاقة.",
+    },
+    "kitchen-dispenser": {
+      name: "موزع مياه للمطبخ",
+      description: "موزع مياه صغير للمطبخ. سهل التركيب ويناسب أي مساحة.",
+    },
+    "manual-pump": {
+      name: "مضخة يدوية",
+      description: "مضخة مياه يدوية متينة. لا تحتاج إلى كهرباء وتناسب أي مكان.",
+    },
+    disp: {
+      name: "استئجار موزع مياه",
+      description: "إيجار شهري لموزع مياه فاخر، يشمل الصيانة والخدمة.",
+    },
+    "family-pack": {
+      name: "باقة العائلة",
+      description:
+        "مبرد + 5 عبوات ممتلئة + دفتر كوبونات + كرتونة 200 مل مجانية. أفضل قيمة للعائلات، وكل ما تحتاجه لبدء خدمة توصيل المياه.",
+    },
+    "standard-pack": {
+      name: "الباقة القياسية",
+      description: "مبرد + 3 عبوات ممتلئة + دفتر كوبونات + كرتونة 200 مل مجانية. باقة البداية الأكثر طلبًا للعملاء الجدد.",
+    },
+    "starter-pack": {
+      name: "باقة البداية",
+      description: "مضخة يدوية + 3 عبوات ممتلئة + دفتر كوبونات + كرتونة 200 مل مجانية. مثالية لتجربة خدمتنا.",
+    },
+  },
+};
+
+module.exports = { initialCategories, initialProducts, initialBundles, arabicCatalog };
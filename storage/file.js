@@ -0,0 +1,58 @@
+/**
+ * File-backed storage adapter
+ * Keeps collections in memory and writes the whole document to a JSON file
+ * after every change, so wallets and orders survive a restart.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { MemoryStore } = require("./memory");
+const { emptyDocument } = require("./migrations");
+
+class FileStore extends MemoryStore {
+  constructor({ filePath }) {
+    super();
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  async read() {
+    try {
+      const contents = await fs.promises.readFile(this.filePath, "utf8");
+      return JSON.parse(contents);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return emptyDocument();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a write of the current state
+   * Writes are serialized so an older snapshot can never overwrite a newer one
+   */
+  persist() {
+    const write = this.pendingWrite
+      .catch(() => {}) // A failed write shouldn't block the ones queued after it
+      .then(() => this.writeSnapshot());
+    this.pendingWrite = write;
+    return write;
+  }
+
+  async writeSnapshot() {
+    const contents = JSON.stringify(this.toDocument(), null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Write to a temp file and rename so a crash mid-write can't corrupt the store
+    await fs.promises.writeFile(tempPath, contents, "utf8");
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async close() {
+    await this.pendingWrite.catch(() => {});
+  }
+}
+
+module.exports = { FileStore };
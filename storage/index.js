@@ -0,0 +1,28 @@
+/**
+ * Storage adapter factory
+ * Picks the adapter from STORAGE_DRIVER ("file" by default, or "memory")
+ */
+
+const path = require("path");
+const { MemoryStore } = require("./memory");
+const { FileStore } = require("./file");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "..", "data", "store.json");
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.STORAGE_DRIVER || "file";
+
+  if (driver === "memory") {
+    return new MemoryStore();
+  }
+
+  if (driver === "file") {
+    return new FileStore({
+      filePath: options.filePath || process.env.STORAGE_FILE || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+}
+
+module.exports = { createStorage, MemoryStore, FileStore };
@@ -0,0 +1,115 @@
+/**
+ * In-memory storage adapter
+ * Keeps every collection in a Map. Used for tests and throwaway demo runs;
+ * everything is lost when the process exits.
+ */
+
+const { emptyDocument, runMigrations } = require("./migrations");
+
+// Records are copied on the way in and out so callers can't mutate stored
+// state without going through set(), same as with a real database
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * A named collection of records keyed by id
+ * All methods are async so adapters backed by disk or a database can share the interface
+ */
+class Collection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+    this.records = new Map();
+  }
+
+  async get(id) {
+    return clone(this.records.get(id));
+  }
+
+  async has(id) {
+    return this.records.has(id);
+  }
+
+  async set(id, value) {
+    this.records.set(id, clone(value));
+    await this.store.persist();
+    return value;
+  }
+
+  async delete(id) {
+    const existed = this.records.delete(id);
+    if (existed) {
+      await this.store.persist();
+    }
+    return existed;
+  }
+
+  async values() {
+    return Array.from(this.records.values(), clone);
+  }
+
+  async filter(predicate) {
+    return (await this.values()).filter(predicate);
+  }
+
+  async find(predicate) {
+    return (await this.values()).find(predicate);
+  }
+}
+
+class MemoryStore {
+  constructor() {
+    this.collections = new Map();
+    this.schemaVersion = 0;
+  }
+
+  /**
+   * Load the stored document and bring it up to the latest schema version
+   */
+  async init() {
+    const document = await this.read();
+    const fromVersion = document.schemaVersion || 0;
+    const migrated = runMigrations(document);
+
+    this.schemaVersion = migrated.schemaVersion;
+    for (const [name, records] of Object.entries(migrated.collections)) {
+      const collection = this.collection(name);
+      collection.records = new Map(Object.entries(records));
+    }
+
+    if (migrated.schemaVersion !== fromVersion) {
+      await this.persist();
+    }
+    return this;
+  }
+
+  /**
+   * Get a collection by name, creating it if it doesn't exist yet
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Collection(this, name));
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Serialize all collections into a plain document
+   */
+  toDocument() {
+    const collections = {};
+    for (const [name, collection] of this.collections) {
+      collections[name] = Object.fromEntries(collection.records);
+    }
+    return { schemaVersion: this.schemaVersion, collections };
+  }
+
+  async read() {
+    return emptyDocument();
+  }
+
+  async persist() {}
+
+  async close() {}
+}
+
+module.exports = { MemoryStore, Collection };
@@ -0,0 +1,257 @@
+/**
+ * Schema migrations for the storage document
+ * Each migration upgrades the document by one version. Append new migrations
+ * to the end of the list; never edit one that has already shipped.
+ */
+
+const { initialCategories, initialProducts, initialBundles, arabicCatalog } = require("./catalogData");
+
+const migrations = [
+  {
+    version: 1,
+    description: "Create initial collections",
+    up(document) {
+      const names = ["wallets", "orders", "users", "subscriptions", "temporaryTokens", "otpStore"];
+      for (const name of names) {
+        document.collections[name] = document.collections[name] || {};
+      }
+    },
+  },
+  {
+    version: 2,
+    description: "Add sessions for bearer token authentication",
+    up(document) {
+      document.collections.sessions = document.collections.sessions || {};
+    },
+  },
+  {
+    version: 3,
+    description: "Add processed payment intent ledger and idempotency keys",
+    up(document) {
+      document.collections.processedPayments = document.collections.processedPayments || {};
+      document.collections.idempotencyKeys = document.collections.idempotencyKeys || {};
+    },
+  },
+  {
+    version: 4,
+    description: "Key subscriptions by subscriptionId so a user can have several",
+    up(document) {
+      const rekeyed = {};
+      for (const [key, subscription] of Object.entries(document.collections.subscriptions || {})) {
+        // Records were keyed by userId; older ones don't carry userId/subscriptionId themselves
+        const userId = subscription.userId || key;
+        const subscriptionId = subscription.subscriptionId || `SUB-${userId.slice(-6)}`;
+        rekeyed[subscriptionId] = {
+          ...subscription,
+          userId,
+          subscriptionId,
+          status: subscription.status || (subscription.active === false ? "cancelled" : "active"),
+        };
+      }
+      document.collections.subscriptions = rekeyed;
+    },
+  },
+  {
+    version: 5,
+    description: "Move wallet balances and transactions into the double-entry ledger",
+    up(document) {
+      const ledgerEntries = document.collections.ledgerEntries || {};
+      const entryTypes = { refill: "refill", purchase: "purchase", subscription: "purchase", refund: "refund", bonus: "bonus" };
+      const contraAccounts = {
+        refill: "external:stripe",
+        purchase: "revenue:sales",
+        refund: "revenue:sales",
+        bonus: "expense:bonuses",
+        adjustment: "equity:adjustments",
+      };
+      const now = new Date().toISOString();
+
+      for (const [userId, wallet] of Object.entries(document.collections.wallets || {})) {
+        if (wallet.balanceFils !== undefined) continue;
+
+        const transactions = wallet.transactions || [];
+        const completed = transactions.filter((t) => (t.status || "completed") === "completed" && t.amount);
+        let ledgerFils = 0;
+
+        const addEntry = (id, type, amountFils, fields) => {
+          // Refunded refills and disputes were taken back from Stripe's side
+          const contraAccount = fields.reference.paymentIntentId && type === "adjustment"
+            ? "external:stripe"
+            : contraAccounts[type];
+          ledgerEntries[id] = {
+            id,
+            type,
+            userId,
+            amountFils,
+            currency: wallet.currency || "AED",
+            postings: [
+              { account: `wallet:${userId}`, amountFils },
+              { account: contraAccount, amountFils: -amountFils },
+            ],
+            ...fields,
+          };
+          ledgerFils += amountFils;
+        };
+
+        for (const t of completed) {
+          const reference = {};
+          if (t.orderId) reference.orderId = t.orderId;
+          if (t.paymentIntentId || t.type === "refill") reference.paymentIntentId = t.paymentIntentId || t.id;
+          addEntry(t.id, entryTypes[t.type] || "adjustment", Math.round(t.amount * 100), {
+            reference,
+            description: entryTypes[t.type] ? null : t.type,
+            createdAt: t.timestamp || now,
+          });
+        }
+
+        // Balance that no transaction accounts for (e.g. set by hand) becomes an opening adjustment
+        const balanceFils = Math.round((wallet.balance || 0) * 100);
+        if (balanceFils !== ledgerFils) {
+          const earliest = completed.map((t) => t.timestamp).filter(Boolean).sort()[0];
+          addEntry(`opening-${userId}`, "adjustment", balanceFils - ledgerFils, {
+            reference: {},
+            description: "Opening balance",
+            createdAt: earliest || now,
+          });
+        }
+
+        document.collections.wallets[userId] = {
+          userId,
+          balanceFils,
+          currency: wallet.currency || "AED",
+          failedRefills: transactions.filter((t) => t.status && t.status !== "completed"),
+          createdAt: now,
+        };
+      }
+
+      document.collections.ledgerEntries = ledgerEntries;
+    },
+  },
+  {
+    version: 6,
+    description: "Store the product catalog as data, with stock levels and a subscribable flag",
+    up(document) {
+      const now = new Date().toISOString();
+      const categories = document.collections.categories || {};
+      const products = document.collections.products || {};
+
+      for (const category of initialCategories) {
+        categories[category.id] = categories[category.id] || { ...category, status: "active", createdAt: now };
+      }
+      // stock: null means stock isn't tracked for the product
+      for (const product of initialProducts) {
+        products[product.id] = products[product.id] || { ...product, stock: null, status: "active", createdAt: now };
+      }
+
+      document.collections.categories = categories;
+      document.collections.products = products;
+    },
+  },
+  {
+    version: 7,
+    description: "Model the special offers as bundles of component products",
+    up(document) {
+      const products = document.collections.products || {};
+      const fils = (aed) => Math.round(aed * 100);
+
+      for (const [bundleId, components] of Object.entries(initialBundles)) {
+        const bundle = products[bundleId];
+        const parts = components.map((component) => products[component.productId]);
+        // Leave bundles alone if the catalog has been changed so they no longer fit
+        if (!bundle || bundle.components || parts.some((part) => !part || part.components)) continue;
+
+        // originalPrice is now what the components cost separately (null if that's no saving)
+        const valueFils = components.reduce((sum, component, i) => sum + fils(parts[i].price) * component.quantity, 0);
+        bundle.components = components;
+        bundle.stock = null;
+        bundle.originalPrice = valueFils > fils(bundle.price) ? valueFils / 100 : null;
+      }
+
+      document.collections.products = products;
+    },
+  },
+  {
+    version: 8,
+    description: "Count units sold per product, for sorting search results by popularity",
+    up(document) {
+      const products = document.collections.products || {};
+      const orders = Object.values(document.collections.orders || {});
+
+      for (const product of Object.values(products)) {
+        product.unitsSold = product.unitsSold || 0;
+      }
+      // Cancelled quantities have already been taken off orderItems
+      for (const order of orders) {
+        if (order.status === "cancelled" || order.status === "failed") continue;
+        for (const item of order.orderItems || []) {
+          if (products[item.id] && Number.isInteger(item.quantity)) {
+            products[item.id].unitsSold += item.quantity;
+          }
+        }
+      }
+
+      document.collections.products = products;
+    },
+  },
+  {
+    version: 9,
+    description: "Add Arabic names and descriptions to the shipped catalog",
+    up(document) {
+      // Text already translated through the admin endpoints is kept
+      for (const [name, texts] of Object.entries(arabicCatalog)) {
+        const entries = document.collections[name] || {};
+        for (const [id, text] of Object.entries(texts)) {
+          const entry = entries[id];
+          if (!entry) continue;
+          const translations = entry.translations || {};
+          entry.translations = { ...translations, ar: { ...text, ...translations.ar } };
+        }
+        document.collections[name] = entries;
+      }
+    },
+  },
+  {
+    version: 10,
+    description: "Mark orders that took stock, so cancelling them only puts back stock that was taken",
+    up(document) {
+      // Server-priced orders took stock; sample orders and older ones didn't
+      for (const order of Object.values(document.collections.orders || {})) {
+        if (order.stockTaken === undefined) {
+          order.stockTaken = Boolean(order.pricing);
+        }
+      }
+    },
+  },
+];
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+function emptyDocument() {
+  return { schemaVersion: 0, collections: {} };
+}
+
+/**
+ * Apply every migration newer than the document's schema version
+ */
+function runMigrations(document) {
+  const migrated = {
+    schemaVersion: document.schemaVersion || 0,
+    collections: document.collections || {},
+  };
+
+  if (migrated.schemaVersion > LATEST_VERSION) {
+    throw new Error(
+      `Storage schema version ${migrated.schemaVersion} is newer than this server supports (${LATEST_VERSION})`
+    );
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= migrated.schemaVersion) continue;
+    migration.up(migrated);
+    migrated.schemaVersion = migration.version;
+  }
+
+  return migrated;
+}
+
+module.exports = { migrations, LATEST_VERSION, emptyDocument, runMigrations };
@@ -0,0 +1,41 @@
+/**
+ * Seed data for development and demos
+ */
+
+const sampleUsers = [
+  {
+    userId: "user-001",
+    name: "Ahmed Ali",
+    phone: "+971501234567",
+  },
+  {
+    userId: "user-002",
+    name: "Fatima Hassan",
+    phone: "+971509876543",
+  },
+  {
+    userId: "user-003",
+    name: "Mohammed Ibrahim",
+    phone: "+971507654321",
+  },
+];
+
+/**
+ * Insert sample users that don't exist yet
+ * Returns the number of users added
+ */
+async function seed(store) {
+  const users = store.collection("users");
+  let added = 0;
+
+  for (const user of sampleUsers) {
+    if (!(await users.has(user.userId))) {
+      await users.set(user.userId, user);
+      added++;
+    }
+  }
+
+  return added;
+}
+
+module.exports = { seed, sampleUsers };
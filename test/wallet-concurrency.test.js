@@ -0,0 +1,150 @@
+/**
+ * Concurrent wallet checkouts and refills against one wallet
+ * Runs the app on in-memory storage with a stand-in for the Stripe client,
+ * fires checkouts and refill confirmations in parallel and checks that the
+ * wallet balance, its ledger entries and the orders placed all agree.
+ */
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.STORAGE_DRIVER = "memory";
+process.env.OTP_DEV_MODE = "true";
+process.env.ADMIN_API_KEY = "test-admin-key";
+
+// Stripe stand-in: intents are kept in memory and succeed when the test says so
+const paymentIntents = new Map();
+let stripeIds = 0;
+const fakeStripe = {
+  paymentIntents: {
+    async create(params) {
+      const id = `pi_test_${++stripeIds}`;
+      const paymentIntent = { id, client_secret: `${id}_secret`, status: "requires_payment_method", ...params };
+      paymentIntents.set(id, paymentIntent);
+      return paymentIntent;
+    },
+    async retrieve(id) {
+      return paymentIntents.get(id);
+    },
+  },
+  customers: {
+    async create(params) {
+      return { id: `cus_test_${++stripeIds}`, ...params };
+    },
+  },
+};
+require.cache[require.resolve("stripe")] = { exports: () => fakeStripe };
+
+const app = require("../server");
+
+let server;
+let baseUrl;
+
+before(async () => {
+  await app.ready;
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function api(method, path, { body, token, headers = {} } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function signUp(phone) {
+  const initiated = await api("POST", "/api/auth/sign-up-initiate", { body: { phone, name: "Test Customer" } });
+  const verified = await api("POST", "/api/auth/verify-otp", {
+    body: { temporary_token: initiated.body.temporary_token, otp: "123456" },
+  });
+  assert.equal(verified.status, 200);
+  return { userId: verified.body.userId, token: verified.body.token };
+}
+
+// Create a refill intent, mark it paid and confirm it (twice at once, as the app and a retry would)
+async function refill({ userId, token }, amount) {
+  const created = await api("POST", "/api/payments/create-intent", { body: { userId, amount }, token });
+  assert.equal(created.status, 200);
+  const { paymentIntentId } = created.body.data;
+  paymentIntents.get(paymentIntentId).status = "succeeded";
+
+  const confirm = () => api("POST", "/api/payments/confirm", { body: { userId, paymentIntentId }, token });
+  const results = await Promise.all([confirm(), confirm()]);
+  for (const result of results) {
+    assert.equal(result.status, 200);
+  }
+}
+
+const toFils = (aed) => Math.round(aed * 100);
+
+test("parallel wallet checkouts and refills keep the balance and the ledger consistent", async () => {
+  const customer = await signUp("+971500000101");
+  const { userId, token } = customer;
+  await refill(customer, 100);
+
+  const [slot] = (await api("GET", "/api/checkout/delivery-slots")).body.data.slots;
+  const checkout = () =>
+    api("POST", "/api/checkout", {
+      token,
+      body: {
+        orderItems: [{ id: "w05", quantity: 4 }],
+        shippingDetails: { address: "Villa 1, Al Barsha, Dubai" },
+        deliverySlot: { date: slot.date, window: slot.window },
+        paymentMethod: "wallet",
+      },
+    });
+
+  const CHECKOUTS = 12;
+  const REFILLS = 4;
+  const REFILL_AMOUNT = 50;
+  const [checkouts] = await Promise.all([
+    Promise.all(Array.from({ length: CHECKOUTS }, checkout)),
+    Promise.all(Array.from({ length: REFILLS }, () => refill(customer, REFILL_AMOUNT))),
+  ]);
+
+  const placed = checkouts.filter((result) => result.status === 200);
+  const declined = checkouts.filter((result) => result.status !== 200);
+  // More is ordered than the wallet can ever hold, so some checkouts must be turned away
+  assert.ok(placed.length > 0);
+  assert.ok(declined.length > 0);
+  for (const result of declined) {
+    assert.equal(result.status, 400);
+    assert.equal(result.body.message, "Insufficient wallet balance");
+  }
+
+  const orderIds = new Set(placed.map((result) => result.body.data.orderId));
+  assert.equal(orderIds.size, placed.length);
+
+  const spentFils = placed.reduce((sum, result) => sum + toFils(result.body.data.totalAmount), 0);
+  const expectedFils = toFils(100 + REFILLS * REFILL_AMOUNT) - spentFils;
+
+  const wallet = await api("GET", `/api/wallet/${userId}`, { token });
+  assert.equal(toFils(wallet.body.data.balance), expectedFils);
+  assert.ok(wallet.body.data.balance >= 0);
+
+  // Each refill is credited once and each placed order debited once
+  const history = await api("GET", `/api/wallet/${userId}/transactions?limit=100`, { token });
+  const entries = history.body.data.transactions.filter((row) => row.status === "completed");
+  const ledgerFils = entries.reduce((sum, row) => sum + toFils(row.amount), 0);
+  assert.equal(ledgerFils, expectedFils);
+  assert.equal(entries.filter((row) => row.type === "refill").length, 1 + REFILLS);
+  assert.equal(entries.filter((row) => row.type === "purchase").length, placed.length);
+
+  const reconciled = await api("GET", `/api/admin/ledger/reconcile?userId=${userId}`, {
+    headers: { "X-Admin-Key": process.env.ADMIN_API_KEY },
+  });
+  assert.equal(reconciled.status, 200);
+  assert.equal(reconciled.body.data.ok, true);
+});